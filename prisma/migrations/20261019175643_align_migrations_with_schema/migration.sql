@@ -0,0 +1,194 @@
+/*
+  Warnings:
+
+  - You are about to drop the column `userId` on the `IdentityKey` table. All the data in the column will be lost.
+  - You are about to drop the column `userId` on the `OneTimePreKey` table. All the data in the column will be lost.
+  - You are about to drop the column `userId` on the `SignedPreKey` table. All the data in the column will be lost.
+  - A unique constraint covering the columns `[deviceId]` on the table `IdentityKey` will be added.
+  - A unique constraint covering the columns `[deviceId]` on the table `SignedPreKey` will be added.
+  - Added the required column `deviceId` to the `IdentityKey`, `OneTimePreKey` and `SignedPreKey` tables without a default value.
+
+  BREAKING: this migration deletes every published Signal key (identity keys, signed
+  prekeys and one-time prekeys). The schema moved keys from users to devices before any
+  migration recorded it, and a per-user key cannot be assigned to a device. Every client
+  must register its device and upload its keys again after this migration; see
+  "Upgrading" in the README.
+
+  Everything else here only brings the migration history in line with schema.prisma as it
+  was before the mailbox work: the Device, KyberPreKey and DeviceRecoveryCode tables, the
+  per-device key columns, new columns on Conversation, Friendship and Message, the
+  SIGNAL_REACTION enum value and the cascading foreign keys.
+
+*/
+-- AlterEnum
+ALTER TYPE "MessageContentType" ADD VALUE 'SIGNAL_REACTION';
+
+-- DropForeignKey
+ALTER TABLE "Conversation" DROP CONSTRAINT "Conversation_participantAId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "Conversation" DROP CONSTRAINT "Conversation_participantBId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "Friendship" DROP CONSTRAINT "Friendship_addresseeId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "Friendship" DROP CONSTRAINT "Friendship_requesterId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "IdentityKey" DROP CONSTRAINT "IdentityKey_userId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "Message" DROP CONSTRAINT "Message_senderId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "MessageReceipt" DROP CONSTRAINT "MessageReceipt_messageId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "MessageReceipt" DROP CONSTRAINT "MessageReceipt_userId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "OneTimePreKey" DROP CONSTRAINT "OneTimePreKey_userId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "Participant" DROP CONSTRAINT "Participant_userId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "RefreshToken" DROP CONSTRAINT "RefreshToken_userId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "SignedPreKey" DROP CONSTRAINT "SignedPreKey_userId_fkey";
+
+-- BREAKING: per-user keys cannot be assigned to a device, clients upload them again
+DELETE FROM "OneTimePreKey";
+DELETE FROM "SignedPreKey";
+DELETE FROM "IdentityKey";
+
+-- DropIndex
+DROP INDEX "IdentityKey_userId_key";
+
+-- DropIndex
+DROP INDEX "OneTimePreKey_userId_keyId_key";
+
+-- DropIndex
+DROP INDEX "SignedPreKey_userId_key";
+
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN     "memberCanInvite" BOOLEAN NOT NULL DEFAULT true;
+
+-- AlterTable
+ALTER TABLE "Friendship" ADD COLUMN     "blockedById" TEXT;
+
+-- AlterTable
+ALTER TABLE "IdentityKey" DROP COLUMN "userId",
+ADD COLUMN     "deviceId" TEXT NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "senderDeviceId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "OneTimePreKey" DROP COLUMN "userId",
+ADD COLUMN     "deviceId" TEXT NOT NULL;
+
+-- AlterTable
+ALTER TABLE "SignedPreKey" DROP COLUMN "userId",
+ADD COLUMN     "deviceId" TEXT NOT NULL;
+
+-- CreateTable
+CREATE TABLE "Device" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "deviceId" INTEGER NOT NULL,
+    "deviceName" TEXT,
+    "isPrimary" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Device_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "KyberPreKey" (
+    "id" TEXT NOT NULL,
+    "deviceId" TEXT NOT NULL,
+    "keyId" INTEGER NOT NULL,
+    "publicKey" TEXT NOT NULL,
+    "signature" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "KyberPreKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DeviceRecoveryCode" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DeviceRecoveryCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Device_userId_deviceId_key" ON "Device"("userId", "deviceId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "KyberPreKey_deviceId_key" ON "KyberPreKey"("deviceId");
+
+-- CreateIndex
+CREATE INDEX "DeviceRecoveryCode_userId_idx" ON "DeviceRecoveryCode"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "IdentityKey_deviceId_key" ON "IdentityKey"("deviceId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OneTimePreKey_deviceId_keyId_key" ON "OneTimePreKey"("deviceId", "keyId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SignedPreKey_deviceId_key" ON "SignedPreKey"("deviceId");
+
+-- AddForeignKey
+ALTER TABLE "Conversation" ADD CONSTRAINT "Conversation_participantAId_fkey" FOREIGN KEY ("participantAId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Conversation" ADD CONSTRAINT "Conversation_participantBId_fkey" FOREIGN KEY ("participantBId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Participant" ADD CONSTRAINT "Participant_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Friendship" ADD CONSTRAINT "Friendship_addresseeId_fkey" FOREIGN KEY ("addresseeId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Friendship" ADD CONSTRAINT "Friendship_requesterId_fkey" FOREIGN KEY ("requesterId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Message" ADD CONSTRAINT "Message_senderId_fkey" FOREIGN KEY ("senderId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MessageReceipt" ADD CONSTRAINT "MessageReceipt_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MessageReceipt" ADD CONSTRAINT "MessageReceipt_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RefreshToken" ADD CONSTRAINT "RefreshToken_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Device" ADD CONSTRAINT "Device_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "IdentityKey" ADD CONSTRAINT "IdentityKey_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SignedPreKey" ADD CONSTRAINT "SignedPreKey_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OneTimePreKey" ADD CONSTRAINT "OneTimePreKey_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KyberPreKey" ADD CONSTRAINT "KyberPreKey_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DeviceRecoveryCode" ADD CONSTRAINT "DeviceRecoveryCode_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "DeviceEnvelope" (
+    "id" TEXT NOT NULL,
+    "deviceId" TEXT NOT NULL,
+    "messageId" TEXT,
+    "event" TEXT NOT NULL DEFAULT 'message',
+    "payload" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DeviceEnvelope_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DeviceEnvelope_deviceId_createdAt_idx" ON "DeviceEnvelope"("deviceId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "DeviceEnvelope_messageId_idx" ON "DeviceEnvelope"("messageId");
+
+-- CreateIndex
+CREATE INDEX "DeviceEnvelope_expiresAt_idx" ON "DeviceEnvelope"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "DeviceEnvelope" ADD CONSTRAINT "DeviceEnvelope_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device"("id") ON DELETE CASCADE ON UPDATE CASCADE;
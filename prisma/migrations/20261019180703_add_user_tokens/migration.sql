@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "UserTokenType" AS ENUM ('EMAIL_VERIFICATION');
+
+-- CreateTable
+CREATE TABLE "UserToken" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" "UserTokenType" NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UserToken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserToken_tokenHash_key" ON "UserToken"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "UserToken_userId_type_idx" ON "UserToken"("userId", "type");
+
+-- CreateIndex
+CREATE INDEX "UserToken_expiresAt_idx" ON "UserToken"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "UserToken" ADD CONSTRAINT "UserToken_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
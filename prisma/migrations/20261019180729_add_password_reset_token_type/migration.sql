@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "UserTokenType" ADD VALUE 'PASSWORD_RESET';
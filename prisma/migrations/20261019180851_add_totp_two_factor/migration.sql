@@ -0,0 +1,27 @@
+-- AlterEnum
+ALTER TYPE "UserTokenType" ADD VALUE 'MFA_CHALLENGE';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "totpEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "totpLastUsedStep" INTEGER,
+ADD COLUMN     "totpSecret" TEXT;
+
+-- AlterTable
+ALTER TABLE "UserToken" ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "TotpBackupCode" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TotpBackupCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TotpBackupCode_userId_idx" ON "TotpBackupCode"("userId");
+
+-- AddForeignKey
+ALTER TABLE "TotpBackupCode" ADD CONSTRAINT "TotpBackupCode_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+/*
+  Warnings:
+
+  - You are about to drop the column `code` on the `DeviceRecoveryCode` table. All the data in the column will be lost.
+  - Added the required column `codeHash` to the `DeviceRecoveryCode` table without a default value.
+
+  Recovery codes are short-lived, so outstanding plaintext codes are removed and users
+  request a new one.
+
+*/
+-- Plaintext codes cannot be hashed into the new column
+DELETE FROM "DeviceRecoveryCode";
+
+-- AlterTable
+ALTER TABLE "DeviceRecoveryCode" DROP COLUMN "code",
+ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "codeHash" TEXT NOT NULL,
+ADD COLUMN     "lockedUntil" TIMESTAMP(3),
+ADD COLUMN     "usedAt" TIMESTAMP(3);
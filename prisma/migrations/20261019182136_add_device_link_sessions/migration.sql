@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "DeviceLinkStatus" AS ENUM ('PENDING', 'APPROVED', 'COMPLETED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "DeviceLinkSession" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "deviceName" TEXT NOT NULL,
+    "ephemeralPublicKey" TEXT NOT NULL,
+    "status" "DeviceLinkStatus" NOT NULL DEFAULT 'PENDING',
+    "requestedBySid" TEXT,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "approvedByDeviceId" INTEGER,
+    "deviceRowId" TEXT,
+    "deviceId" INTEGER,
+    "provisioning" JSONB,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "DeviceLinkSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DeviceLinkSession_codeHash_key" ON "DeviceLinkSession"("codeHash");
+
+-- CreateIndex
+CREATE INDEX "DeviceLinkSession_userId_status_idx" ON "DeviceLinkSession"("userId", "status");
+
+-- CreateIndex
+CREATE INDEX "DeviceLinkSession_expiresAt_idx" ON "DeviceLinkSession"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "DeviceLinkSession" ADD CONSTRAINT "DeviceLinkSession_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
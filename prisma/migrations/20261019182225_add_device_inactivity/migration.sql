@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Device" ADD COLUMN     "inactiveSince" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Device_lastSeenAt_idx" ON "Device"("lastSeenAt");
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "Device" ADD COLUMN     "capabilities" JSONB NOT NULL DEFAULT '{}',
+ADD COLUMN     "clientVersion" TEXT,
+ADD COLUMN     "platform" TEXT;
+
+-- AlterTable
+ALTER TABLE "DeviceLinkSession" ADD COLUMN     "capabilities" JSONB NOT NULL DEFAULT '{}',
+ADD COLUMN     "clientVersion" TEXT,
+ADD COLUMN     "platform" TEXT;
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "deviceLimit" INTEGER;
@@ -0,0 +1,22 @@
+-- CreateEnum
+CREATE TYPE "KeyTransparencyAction" AS ENUM ('IDENTITY_ADDED', 'IDENTITY_REPLACED', 'DEVICE_REMOVED');
+
+-- CreateTable
+CREATE TABLE "KeyTransparencyEntry" (
+    "index" INTEGER NOT NULL,
+    "userId" TEXT NOT NULL,
+    "deviceId" INTEGER NOT NULL,
+    "action" "KeyTransparencyAction" NOT NULL,
+    "identityKey" TEXT,
+    "prevHash" TEXT NOT NULL,
+    "leafHash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "KeyTransparencyEntry_pkey" PRIMARY KEY ("index")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "KeyTransparencyEntry_leafHash_key" ON "KeyTransparencyEntry"("leafHash");
+
+-- CreateIndex
+CREATE INDEX "KeyTransparencyEntry_userId_deviceId_index_idx" ON "KeyTransparencyEntry"("userId", "deviceId", "index");
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "KyberPreKey" ADD COLUMN     "previousKeyId" INTEGER,
+ADD COLUMN     "previousPublicKey" TEXT,
+ADD COLUMN     "previousRetiredAt" TIMESTAMP(3),
+ADD COLUMN     "previousSignature" TEXT,
+ADD COLUMN     "rotatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- AlterTable
+ALTER TABLE "SignedPreKey" ADD COLUMN     "previousKeyId" INTEGER,
+ADD COLUMN     "previousPublicKey" TEXT,
+ADD COLUMN     "previousRetiredAt" TIMESTAMP(3),
+ADD COLUMN     "previousSignature" TEXT,
+ADD COLUMN     "rotatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateIndex
+CREATE INDEX "KyberPreKey_rotatedAt_idx" ON "KyberPreKey"("rotatedAt");
+
+-- CreateIndex
+CREATE INDEX "SignedPreKey_rotatedAt_idx" ON "SignedPreKey"("rotatedAt");
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "OneTimeKyberPreKey" (
+    "id" TEXT NOT NULL,
+    "deviceId" TEXT NOT NULL,
+    "keyId" INTEGER NOT NULL,
+    "publicKey" TEXT NOT NULL,
+    "signature" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OneTimeKyberPreKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OneTimeKyberPreKey_deviceId_keyId_key" ON "OneTimeKyberPreKey"("deviceId", "keyId");
+
+-- AddForeignKey
+ALTER TABLE "OneTimeKyberPreKey" ADD CONSTRAINT "OneTimeKyberPreKey_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device"("id") ON DELETE CASCADE ON UPDATE CASCADE;
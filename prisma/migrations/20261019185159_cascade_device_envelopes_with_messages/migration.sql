@@ -0,0 +1,7 @@
+-- Envelopes left behind by messages deleted before the relation existed
+DELETE FROM "DeviceEnvelope" e
+WHERE e."messageId" IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM "Message" m WHERE m."id" = e."messageId");
+
+-- AddForeignKey
+ALTER TABLE "DeviceEnvelope" ADD CONSTRAINT "DeviceEnvelope_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,10 @@
+-- Keep the lowest-numbered primary where a race left a user with several
+UPDATE "Device" d SET "isPrimary" = false
+WHERE d."isPrimary"
+  AND EXISTS (
+    SELECT 1 FROM "Device" o
+    WHERE o."userId" = d."userId" AND o."isPrimary" AND o."deviceId" < d."deviceId"
+  );
+
+-- CreateIndex (partial indexes can't be declared in schema.prisma)
+CREATE UNIQUE INDEX "Device_userId_primary_key" ON "Device"("userId") WHERE "isPrimary";
@@ -0,0 +1,6 @@
+-- System notices are written by the server, not by the user they are about
+-- AlterTable
+ALTER TABLE "Message" ALTER COLUMN "senderId" DROP NOT NULL;
+
+-- Existing notices carried the subject user as sender
+UPDATE "Message" SET "senderId" = NULL, "senderDeviceId" = NULL WHERE "contentType" = 'SYSTEM_NOTICE';
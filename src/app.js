@@ -6,6 +6,7 @@ const morgan = require('morgan');
 const cookieParser = require('cookie-parser');
 const prisma = require('./db/prismaClient');
 const {initializePassport} = require('./middleware/passport');
+const { csrfProtection } = require('./middleware/csrf');
 const passport = initializePassport(require('passport'));
 const app = express();
 
@@ -15,6 +16,7 @@ app.use(morgan('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
+app.use(csrfProtection);
 app.use(passport.initialize());
 
 
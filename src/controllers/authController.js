@@ -1,6 +1,16 @@
 const passportModule = require('passport');
 const { validationResult } = require('express-validator');
 const tokenService = require('../services/tokenService');
+const userTokenService = require('../services/userTokenService');
+const mailService = require('../services/mailService');
+const totpService = require('../services/totpService');
+const loginThrottle = require('../services/loginThrottleService');
+const webauthnService = require('../services/webauthnService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+const { disconnectUser } = require('../services/socketService');
+const { wantsBodyTokens, bodyTokens, extractBearerToken } = require('../utils/tokenTransport');
+const tokenDenylist = require('../services/tokenDenylistService');
+const { setCsrfCookie, clearCsrfCookie, sessionIdFromCookies } = require('../middleware/csrf');
 const argon2 = require('argon2');
 const prisma = require('../db/prismaClient');
 const generateByUsername  = require('../utils/generateFriendCode');
@@ -8,6 +18,14 @@ const REFRESH_COOKIE_NAME = 'refreshToken';
 const ACCESS_COOKIE_NAME = 'accessToken';
 const ACCESS_EXPIRES_SEC = Number(process.env.ACCESS_TOKEN_EXPIRES || 300);
 const REFRESH_EXPIRES_SEC = Number(process.env.REFRESH_TOKEN_EXPIRES || 60 * 60 * 24 * 7);
+const EMAIL_VERIFICATION_EXPIRES_SEC = Number(process.env.EMAIL_VERIFICATION_EXPIRES || 60 * 60 * 24);
+const VERIFICATION_RESEND_COOLDOWN_SEC = 60;
+const PASSWORD_RESET_EXPIRES_SEC = Number(process.env.PASSWORD_RESET_EXPIRES || 60 * 60);
+const MFA_CHALLENGE_EXPIRES_SEC = Number(process.env.MFA_CHALLENGE_EXPIRES || 5 * 60);
+const MFA_MAX_ATTEMPTS = 5;
+const ACCOUNT_UNLOCK_EXPIRES_SEC = Number(process.env.ACCOUNT_UNLOCK_EXPIRES || 60 * 60);
+const LOCKED_OUT_MESSAGE = 'Too many failed sign-in attempts, please try again later';
+const APP_URL = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
 
 const COOKIE_OPTS = {
   httpOnly: true,
@@ -27,6 +45,94 @@ function authenticateLocal(req, res) {
   });
 }
 
+async function sendVerificationEmail(user) {
+  const { plain } = await userTokenService.issueUserToken({
+    userId: user.id,
+    type: 'EMAIL_VERIFICATION',
+    ttlSec: EMAIL_VERIFICATION_EXPIRES_SEC,
+  });
+
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(plain)}`;
+  await mailService.sendTemplate(user.email, 'emailVerification', {
+    link,
+    expiresInHours: Math.round(EMAIL_VERIFICATION_EXPIRES_SEC / 3600),
+  });
+}
+
+function logSecurityEvent(req, userId, type, metadata = null) {
+  return recordSecurityEvent({
+    userId,
+    type,
+    deviceId: req.deviceId || null,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    metadata,
+  });
+}
+
+// A new lockout goes to the owner's security log and mailbox with an unlock link.
+// Unknown emails are locked out just the same, they simply have nobody to notify.
+async function notifyLockout(req, email, lockout) {
+  const user = await prisma.user.findUnique({ where: { email }, select: { id: true, email: true } });
+  if (!user) return;
+
+  await logSecurityEvent(req, user.id, 'ACCOUNT_LOCKED', {
+    lockoutSec: lockout.retryAfter,
+    lockoutCount: lockout.lockoutCount,
+  });
+
+  const { plain } = await userTokenService.issueUserToken({
+    userId: user.id,
+    type: 'ACCOUNT_UNLOCK',
+    ttlSec: ACCOUNT_UNLOCK_EXPIRES_SEC,
+  });
+
+  const link = `${APP_URL}/unlock-account?token=${encodeURIComponent(plain)}`;
+  await mailService.sendTemplate(user.email, 'accountLocked', {
+    link,
+    unlocksInMinutes: Math.ceil(lockout.retryAfter / 60),
+  });
+}
+
+function rejectLockedOut(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message: LOCKED_OUT_MESSAGE, retryAfter });
+}
+
+// Issue access + refresh tokens for a fully authenticated user. Browsers get cookies;
+// returns the extra response fields for clients that asked for body tokens.
+async function startSession(req, res, userId) {
+  const rtResult = await tokenService.issueRefreshToken({ userId, userAgent: req.get('user-agent') });
+  const accessToken = tokenService.signAccessToken(userId, null, rtResult?.created?.id);
+
+  const refreshPlain = rtResult?.token ?? rtResult?.plain ?? (typeof rtResult === 'string' ? rtResult : null);
+
+  if (wantsBodyTokens(req)) {
+    return bodyTokens({ accessToken, refreshToken: refreshPlain });
+  }
+
+  res.cookie(ACCESS_COOKIE_NAME, accessToken, { ...COOKIE_OPTS, maxAge: ACCESS_EXPIRES_SEC * 1000 });
+  if (refreshPlain) {
+    res.cookie(REFRESH_COOKIE_NAME, refreshPlain, { ...COOKIE_OPTS, maxAge: REFRESH_EXPIRES_SEC * 1000 });
+  } else {
+    console.warn('issueRefreshToken did not return plaintext token', rtResult);
+  }
+  setCsrfCookie(res, rtResult?.created?.id);
+  return {};
+}
+
+// Replace the password hash, then kill every way back in: refresh tokens, live sockets and
+// passkeys (one may have been added by whoever had the old password). Returns how many
+// passkeys were removed.
+async function setPasswordAndRevokeSessions(req, userId, newPassword) {
+  const passwordHash = await argon2.hash(newPassword);
+  await prisma.user.update({ where: { id: userId }, data: { passwordHash } });
+  const passkeysRemoved = await webauthnService.deleteAllCredentials(userId);
+  await tokenService.revokeAllUserTokens(userId);
+  disconnectUser(req.app.get('io'), userId);
+  return passkeysRemoved;
+}
+
 exports.register = async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -87,21 +193,18 @@ exports.register = async (req, res, next) => {
       throw err;
     }
 
-    const { passwordHash: _hash, ...safeUser } = created;
-
-    const accessToken = tokenService.signAccessToken(created.id);
+    const { passwordHash: _hash, totpSecret: _secret, ...safeUser } = created;
 
-    const rtResult = await tokenService.issueRefreshToken({ userId: created.id, userAgent: req.get('user-agent') });
-    const refreshPlain = rtResult?.token ?? rtResult?.plain ?? (typeof rtResult === 'string' ? rtResult : null);
-
-    res.cookie(ACCESS_COOKIE_NAME, accessToken, { ...COOKIE_OPTS, maxAge: ACCESS_EXPIRES_SEC * 1000 });
-    if (refreshPlain) {
-      res.cookie(REFRESH_COOKIE_NAME, refreshPlain, { ...COOKIE_OPTS, maxAge: REFRESH_EXPIRES_SEC * 1000 });
-    } else {
-      console.warn('issueRefreshToken did not return plaintext token', rtResult);
+    try {
+      await sendVerificationEmail(created);
+    } catch (mailErr) {
+      // account is created either way; the user can request a new link
+      console.error('Failed to send verification email', mailErr);
     }
 
-    return res.status(201).json({ user: safeUser });
+    const tokens = await startSession(req, res, created.id);
+
+    return res.status(201).json({ user: safeUser, ...tokens });
   } catch (err) {
     // final catch: map DB unique errors (if we missed above)
     if (err?.code === 'P2002' || err?.code === '23505') {
@@ -119,22 +222,45 @@ exports.login = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const email = String(req.body.email).toLowerCase();
+    const throttle = await loginThrottle.checkAllowed(email, req.ip);
+    if (!throttle.allowed) return rejectLockedOut(res, throttle.retryAfter);
+
     const result = await authenticateLocal(req, res);
-    if (result.error) return res.status(401).json({ message: 'Invalid credentials' });
+    if (result.error) {
+      // counted per email whether or not the account exists, so lockouts don't leak that either
+      const lockout = await loginThrottle.recordFailure(email, req.ip);
+      if (lockout.lockedOut) {
+        try {
+          await notifyLockout(req, email, lockout);
+        } catch (notifyErr) {
+          console.error('Failed to send lockout notification', notifyErr);
+        }
+        return rejectLockedOut(res, lockout.retryAfter);
+      }
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
 
     const user = result.user;
-    const accessToken = tokenService.signAccessToken(user.id);
-    const rtResult = await tokenService.issueRefreshToken({ userId: user.id, userAgent: req.get('user-agent') });
 
-    const refreshPlain = rtResult?.token ?? rtResult?.plain ?? (typeof rtResult === 'string' ? rtResult : null);
+    // Second factor required: hand out a short-lived challenge instead of a session. The
+    // email counter is only reset once the second factor is accepted too.
+    if (user.totpEnabled) {
+      const mfaThrottle = await loginThrottle.checkMfaAllowed(user.id);
+      if (!mfaThrottle.allowed) return rejectLockedOut(res, mfaThrottle.retryAfter);
 
-    res.cookie(ACCESS_COOKIE_NAME, accessToken, { ...COOKIE_OPTS, maxAge: ACCESS_EXPIRES_SEC * 1000 });
-    if (refreshPlain) {
-      res.cookie(REFRESH_COOKIE_NAME, refreshPlain, { ...COOKIE_OPTS, maxAge: REFRESH_EXPIRES_SEC * 1000 });
-    } else {
-      console.warn('issueRefreshToken did not return plaintext token', rtResult);
+      const { plain: mfaToken } = await userTokenService.issueUserToken({
+        userId: user.id,
+        type: 'MFA_CHALLENGE',
+        ttlSec: MFA_CHALLENGE_EXPIRES_SEC,
+      });
+      return res.json({ message: 'Two-factor authentication required', mfaRequired: true, mfaToken, expiresIn: MFA_CHALLENGE_EXPIRES_SEC });
     }
-    return res.json({ message: 'Login successful' });
+
+    await loginThrottle.recordSuccess(email);
+    const tokens = await startSession(req, res, user.id);
+    await logSecurityEvent(req, user.id, 'LOGIN', { method: 'password' });
+    return res.json({ message: 'Login successful', ...tokens });
   } catch (err) {
     return next(err);
   }
@@ -146,11 +272,16 @@ exports.refresh = async (req, res, next) => {
     const currentToken = req.cookies && req.cookies[REFRESH_COOKIE_NAME];
     if (!currentToken) return res.status(401).json({ message: 'No refresh token' });
 
-    // rotateRefreshToken returns { accessToken, refreshToken }
-    const { accessToken, refreshToken: newRefreshPlain } = await tokenService.rotateRefreshToken({ currentToken });
+    // rotateRefreshToken returns { accessToken, refreshToken, sessionId }
+    const { accessToken, refreshToken: newRefreshPlain, sessionId } = await tokenService.rotateRefreshToken({
+      currentToken,
+      userAgent: req.get('user-agent'),
+      ip: req.ip,
+    });
 
     res.cookie(ACCESS_COOKIE_NAME, accessToken, { ...COOKIE_OPTS, maxAge: ACCESS_EXPIRES_SEC * 1000 });
     res.cookie(REFRESH_COOKIE_NAME, newRefreshPlain, { ...COOKIE_OPTS, maxAge: REFRESH_EXPIRES_SEC * 1000 });
+    setCsrfCookie(res, sessionId);
 
     return res.json({ message: 'Token refreshed' });
   } catch (err) {
@@ -163,20 +294,322 @@ exports.refresh = async (req, res, next) => {
   }
 };
 
+// Body-token variant of /refresh for native and CLI clients: no cookies in or out
+exports.refreshTokenBody = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { accessToken, refreshToken } = await tokenService.rotateRefreshToken({
+      currentToken: String(req.body.refreshToken),
+      userAgent: req.get('user-agent'),
+      ip: req.ip,
+    });
+
+    return res.json(bodyTokens({ accessToken, refreshToken }));
+  } catch (err) {
+    if (err && err.name === 'TokenError') {
+      return res.status(401).json({ message: err.message });
+    }
+    return next(err);
+  }
+};
+
 exports.logout = async (req, res, next) => {
   try {
-    const currentToken = req.cookies && req.cookies[REFRESH_COOKIE_NAME];
+    // cookie for browsers, body for native clients
+    const currentToken = (req.cookies && req.cookies[REFRESH_COOKIE_NAME]) || (req.body && req.body.refreshToken);
     if (currentToken) {
       // revoke token in DB (best-effort)
       await tokenService.revokeRefreshToken({ currentToken });
     }
 
+    // kill the access token now instead of letting it live until expiry
+    const accessPayload = tokenService.decodeAccessToken(
+      extractBearerToken(req) || (req.cookies && req.cookies[ACCESS_COOKIE_NAME])
+    );
+    if (accessPayload) {
+      await tokenDenylist.revokeJti(accessPayload.jti, accessPayload.exp);
+      await tokenDenylist.revokeSession(accessPayload.sid);
+    }
+
     // clear cookie on client
     res.clearCookie(ACCESS_COOKIE_NAME, COOKIE_OPTS);
     res.clearCookie(REFRESH_COOKIE_NAME, COOKIE_OPTS);
+    clearCsrfCookie(res);
 
     return res.status(204).send();
   } catch (err) {
     return next(err);
   }
 };
+
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const record = await userTokenService.consumeUserToken({
+      plain: String(req.body.token),
+      type: 'EMAIL_VERIFICATION',
+    });
+
+    await prisma.user.update({
+      where: { id: record.userId },
+      data: { isVerified: true },
+    });
+
+    return res.json({ message: 'Email verified' });
+  } catch (err) {
+    if (err && err.name === 'UserTokenError') {
+      return res.status(400).json({ message: err.message });
+    }
+    return next(err);
+  }
+};
+
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, email: true, isVerified: true },
+    });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.isVerified) return res.status(400).json({ message: 'Email already verified' });
+
+    const latest = await userTokenService.latestUserToken({ userId: user.id, type: 'EMAIL_VERIFICATION' });
+    if (latest && Date.now() - latest.createdAt.getTime() < VERIFICATION_RESEND_COOLDOWN_SEC * 1000) {
+      return res.status(429).json({ message: 'Please wait before requesting another verification email' });
+    }
+
+    await sendVerificationEmail(user);
+    return res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const email = String(req.body.email).toLowerCase();
+    const user = await prisma.user.findUnique({ where: { email }, select: { id: true, email: true } });
+
+    // Same response whether or not the account exists, so this can't be used to probe emails;
+    // that includes failures, which are only logged
+    if (user) {
+      try {
+        const { plain } = await userTokenService.issueUserToken({
+          userId: user.id,
+          type: 'PASSWORD_RESET',
+          ttlSec: PASSWORD_RESET_EXPIRES_SEC,
+        });
+
+        const link = `${APP_URL}/reset-password?token=${encodeURIComponent(plain)}`;
+        await mailService.sendTemplate(user.email, 'passwordReset', {
+          link,
+          expiresInMinutes: Math.round(PASSWORD_RESET_EXPIRES_SEC / 60),
+        });
+      } catch (mailErr) {
+        console.error('Failed to send password reset email', mailErr);
+      }
+    }
+
+    return res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const record = await userTokenService.consumeUserToken({
+      plain: String(req.body.token),
+      type: 'PASSWORD_RESET',
+    });
+
+    const passkeysRemoved = await setPasswordAndRevokeSessions(req, record.userId, String(req.body.password));
+    await logSecurityEvent(req, record.userId, 'PASSWORD_RESET', { passkeysRemoved });
+
+    res.clearCookie(ACCESS_COOKIE_NAME, COOKIE_OPTS);
+    res.clearCookie(REFRESH_COOKIE_NAME, COOKIE_OPTS);
+    clearCsrfCookie(res);
+
+    return res.json({ message: 'Password has been reset, please sign in again' });
+  } catch (err) {
+    if (err && err.name === 'UserTokenError') {
+      return res.status(400).json({ message: err.message });
+    }
+    return next(err);
+  }
+};
+
+exports.changePassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { passwordHash: true } });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const ok = await argon2.verify(user.passwordHash, String(req.body.currentPassword));
+    if (!ok) return res.status(401).json({ message: 'Current password is incorrect' });
+
+    const passkeysRemoved = await setPasswordAndRevokeSessions(req, userId, String(req.body.newPassword));
+    await logSecurityEvent(req, userId, 'PASSWORD_CHANGED', { passkeysRemoved });
+
+    res.clearCookie(ACCESS_COOKIE_NAME, COOKIE_OPTS);
+    res.clearCookie(REFRESH_COOKIE_NAME, COOKIE_OPTS);
+    clearCsrfCookie(res);
+
+    return res.json({ message: 'Password changed, please sign in again' });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+exports.verifyMfa = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const mfaToken = String(req.body.mfaToken);
+    const challenge = await userTokenService.findActiveUserToken({ plain: mfaToken, type: 'MFA_CHALLENGE' });
+
+    if (!(await userTokenService.claimAttempt(challenge, MFA_MAX_ATTEMPTS))) {
+      return res.status(401).json({ message: 'Too many attempts, please sign in again' });
+    }
+
+    // per-user limit across challenges, with the same backoff as password lockouts
+    const mfaAttempt = await loginThrottle.claimMfaAttempt(challenge.userId);
+    if (!mfaAttempt.allowed) return rejectLockedOut(res, mfaAttempt.retryAfter);
+
+    const method = await totpService.verifySecondFactor(challenge.userId, String(req.body.code));
+    if (!method) {
+      const lockout = await loginThrottle.recordMfaFailure(challenge.userId, mfaAttempt);
+      if (lockout.lockedOut) {
+        await logSecurityEvent(req, challenge.userId, 'MFA_LOCKED', {
+          lockoutSec: lockout.retryAfter,
+          lockoutCount: lockout.lockoutCount,
+        });
+        return rejectLockedOut(res, lockout.retryAfter);
+      }
+      const { exhausted } = await userTokenService.recordFailedAttempt(challenge, MFA_MAX_ATTEMPTS);
+      return res.status(401).json({
+        message: exhausted ? 'Too many attempts, please sign in again' : 'Invalid authentication code',
+      });
+    }
+
+    // single-use: a concurrent request holding the same challenge loses here
+    await userTokenService.consumeUserToken({ plain: mfaToken, type: 'MFA_CHALLENGE' });
+
+    // the whole login succeeded: clear the password and second-factor counters
+    const user = await prisma.user.findUnique({ where: { id: challenge.userId }, select: { email: true } });
+    await Promise.all([
+      loginThrottle.recordSuccess(user.email),
+      loginThrottle.recordMfaSuccess(challenge.userId),
+    ]);
+
+    const tokens = await startSession(req, res, challenge.userId);
+    await logSecurityEvent(req, challenge.userId, 'LOGIN', { method: `password+${method}` });
+    return res.json({ message: 'Login successful', method, ...tokens });
+  } catch (err) {
+    if (err && err.name === 'UserTokenError') {
+      return res.status(401).json({ message: 'Two-factor challenge expired, please sign in again' });
+    }
+    return next(err);
+  }
+};
+
+// Passwordless login, step 1: a challenge for any discoverable passkey on this RP
+exports.webauthnLoginOptions = async (req, res, next) => {
+  try {
+    const options = await webauthnService.authenticationOptions();
+    return res.json(options);
+  } catch (err) {
+    return next(err);
+  }
+};
+
+// Passwordless login, step 2: a verified assertion starts a session exactly like /login
+exports.webauthnLogin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId, credentialId } = await webauthnService.verifyAuthentication(req.body.response, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+
+    const tokens = await startSession(req, res, userId);
+    await logSecurityEvent(req, userId, 'LOGIN', { method: 'passkey', credentialId });
+    return res.json({ message: 'Login successful', method: 'passkey', ...tokens });
+  } catch (err) {
+    if (err && err.name === 'WebAuthnError') {
+      return res.status(err.status || 401).json({ message: err.message });
+    }
+    return next(err);
+  }
+};
+
+// Lifts a login lockout early using the link from the lockout email
+exports.unlockAccount = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const record = await userTokenService.consumeUserToken({
+      plain: String(req.body.token),
+      type: 'ACCOUNT_UNLOCK',
+    });
+
+    const user = await prisma.user.findUnique({ where: { id: record.userId }, select: { id: true, email: true } });
+    if (!user) return res.status(400).json({ message: 'Invalid or expired token' });
+
+    await loginThrottle.unlock(user.email);
+    await logSecurityEvent(req, user.id, 'ACCOUNT_UNLOCKED');
+
+    return res.json({ message: 'Account unlocked, you can sign in again' });
+  } catch (err) {
+    if (err && err.name === 'UserTokenError') {
+      return res.status(400).json({ message: err.message });
+    }
+    return next(err);
+  }
+};
+
+// Hands out a fresh CSRF token (and cookie), e.g. for sessions started before CSRF cookies existed
+exports.csrfToken = async (req, res, next) => {
+  try {
+    const sessionId = await sessionIdFromCookies(req.cookies);
+    if (!sessionId) return res.status(401).json({ message: 'Authentication required' });
+
+    const csrfToken = setCsrfCookie(res, sessionId);
+    return res.json({ csrfToken });
+  } catch (err) {
+    return next(err);
+  }
+};
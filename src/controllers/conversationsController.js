@@ -151,7 +151,7 @@ exports.listConversations = async (req, res, next) => {
         },
         // Fetch only the single latest message that isn't a KEY_DISTRIBUTION
         messages: {
-          where: { contentType: { notIn: ['SIGNAL_KEY_DISTRIBUTION', 'SIGNAL_REACTION'] } },
+          where: { contentType: { notIn: ['SIGNAL_KEY_DISTRIBUTION', 'SIGNAL_REACTION', 'SYSTEM_NOTICE'] } },
           orderBy: { createdAt: 'desc' },
           take: 1,
           select: {
@@ -224,7 +224,7 @@ exports.getConversation = async (req, res, next) => {
           }
         },
         messages: {
-          where: { contentType: { notIn: ['SIGNAL_KEY_DISTRIBUTION', 'SIGNAL_REACTION'] } },
+          where: { contentType: { notIn: ['SIGNAL_KEY_DISTRIBUTION', 'SIGNAL_REACTION', 'SYSTEM_NOTICE'] } },
           orderBy: { createdAt: 'desc' },
           take: 1,
           select: {
@@ -1,6 +1,16 @@
 const { validationResult } = require('express-validator');
 const prisma = require('../db/prismaClient');
 const tokenService = require('../services/tokenService');
+const mailboxService = require('../services/mailboxService');
+const tokenDenylist = require('../services/tokenDenylistService');
+const { disconnectDevice, notifyDeviceListChanged } = require('../services/socketService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+const mailService = require('../services/mailService');
+const recoveryCodeService = require('../services/recoveryCodeService');
+const deviceService = require('../services/deviceService');
+const deviceLinkService = require('../services/deviceLinkService');
+const { wantsBodyTokens, bodyTokens } = require('../utils/tokenTransport');
+const { setCsrfCookie, clearCsrfCookie } = require('../middleware/csrf');
 
 const REFRESH_COOKIE_NAME = 'refreshToken';
 const ACCESS_COOKIE_NAME = 'accessToken';
@@ -14,6 +24,37 @@ const COOKIE_OPTS = {
   path: '/',
 };
 
+// Tokens bound to `deviceId`: cookies for browsers, or response fields for body-token clients
+async function startDeviceSession(req, res, userId, deviceId) {
+  const rtResult = await tokenService.issueRefreshToken({
+    userId,
+    userAgent: req.get('user-agent'),
+    deviceId: String(deviceId),
+  });
+  const { plain: refreshPlain } = rtResult;
+  const accessToken = tokenService.signAccessToken(userId, deviceId, rtResult.created.id);
+
+  if (wantsBodyTokens(req)) {
+    return bodyTokens({ accessToken, refreshToken: refreshPlain });
+  }
+
+  res.cookie(ACCESS_COOKIE_NAME, accessToken, { ...COOKIE_OPTS, maxAge: ACCESS_EXPIRES_SEC * 1000 });
+  if (refreshPlain) {
+    res.cookie(REFRESH_COOKIE_NAME, refreshPlain, { ...COOKIE_OPTS, maxAge: REFRESH_EXPIRES_SEC * 1000 });
+  }
+  setCsrfCookie(res, rtResult.created.id);
+  return {};
+}
+
+function handleDeviceError(err, res, next) {
+  if (err && (err.name === 'DeviceError' || err.name === 'LinkError')) {
+    return res.status(err.status || 400).json({ message: err.message });
+  }
+  return next(err);
+}
+
+// Direct registration only bootstraps the primary device (first device, or after the
+// primary was unlinked). Every other device goes through a link session.
 exports.registerDevice = async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -22,58 +63,110 @@ exports.registerDevice = async (req, res, next) => {
     const userId = req.user.id;
     const deviceName = req.body.deviceName || 'Web Client';
 
-    const count = await prisma.device.count({ where: { userId } });
-    if (count >= 5) {
-      return res.status(400).json({ message: 'Device limit reached (maximum 5 devices)' });
+    // check and create together; a concurrent bootstrap that slips past the check fails on
+    // the one-primary-per-user index and gets a 409
+    const device = await prisma.$transaction(async (tx) => {
+      if (await deviceService.findPrimaryDevice(userId, tx)) return null;
+      return deviceService.createDevice({
+        userId,
+        deviceName,
+        isPrimary: true,
+        ...deviceService.deviceMetadataFrom(req.body),
+      }, tx);
+    });
+    if (!device) {
+      return res.status(403).json({
+        message: 'This account already has a primary device, link this device from it instead',
+        code: 'LINK_REQUIRED',
+      });
     }
 
-    // Determine deviceId (sequential number from 1 to 5 per user)
-    const devices = await prisma.device.findMany({
-      where: { userId },
-      select: { deviceId: true },
+    await deviceService.announceNewDevice({
+      userId,
+      device,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
     });
-    const existingIds = new Set(devices.map(d => d.deviceId));
-    let nextId = 1;
-    for (let i = 1; i <= 5; i++) {
-      if (!existingIds.has(i)) {
-        nextId = i;
-        break;
-      }
-    }
 
-    const isPrimary = nextId === 1;
+    await notifyDeviceListChanged(req.app.get('io'), userId, 'linked', device);
 
-    // Create the device
-    const device = await prisma.device.create({
-      data: {
-        userId,
-        deviceId: nextId,
-        deviceName,
-        isPrimary,
-      },
+    const tokens = await startDeviceSession(req, res, userId, device.deviceId);
+
+    return res.status(201).json({
+      deviceId: device.deviceId,
+      deviceName: device.deviceName,
+      isPrimary: device.isPrimary,
+      ...tokens,
     });
+  } catch (err) {
+    return handleDeviceError(err, res, next);
+  }
+};
 
-    // Re-issue tokens with deviceId embedded
-    const accessToken = tokenService.signAccessToken(userId, nextId);
-    const rtResult = await tokenService.issueRefreshToken({
-      userId,
+// New device, step 1: open a link session and show the code / QR payload to the user
+exports.openLinkSession = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    if (req.deviceId) {
+      return res.status(400).json({ message: 'This sign-in already belongs to a device' });
+    }
+
+    const { session, code, qrPayload } = await deviceLinkService.openLinkSession({
+      userId: req.user.id,
+      deviceName: req.body.deviceName || 'Web Client',
+      ephemeralPublicKey: req.body.ephemeralPublicKey,
+      ...deviceService.deviceMetadataFrom(req.body),
+      sid: req.sessionId,
+      ip: req.ip,
       userAgent: req.get('user-agent'),
-      deviceId: String(nextId),
     });
-    const { plain: refreshPlain } = rtResult;
 
-    res.cookie(ACCESS_COOKIE_NAME, accessToken, { ...COOKIE_OPTS, maxAge: ACCESS_EXPIRES_SEC * 1000 });
-    if (refreshPlain) {
-      res.cookie(REFRESH_COOKIE_NAME, refreshPlain, { ...COOKIE_OPTS, maxAge: REFRESH_EXPIRES_SEC * 1000 });
-    }
+    return res.status(201).json({ linkSession: session, code, qrPayload });
+  } catch (err) {
+    return handleDeviceError(err, res, next);
+  }
+};
 
-    return res.status(201).json({
+// Polling fallback for clients that can't keep a socket open while waiting for approval
+exports.getLinkSession = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const session = await deviceLinkService.getLinkSession(req.user.id, req.params.id);
+    if (!session) return res.status(404).json({ message: 'Link session not found' });
+    return res.json({ linkSession: session });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+// New device, step 3: after approval, claim device-bound tokens and the provisioning payload
+exports.completeLinkSession = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const userId = req.user.id;
+    const { device, provisioning } = await deviceLinkService.completeLinkSession({
+      userId,
+      id: req.params.id,
+      sid: req.sessionId,
+    });
+
+    const tokens = await startDeviceSession(req, res, userId, device.deviceId);
+
+    return res.json({
       deviceId: device.deviceId,
       deviceName: device.deviceName,
       isPrimary: device.isPrimary,
+      provisioning,
+      ...tokens,
     });
   } catch (err) {
-    next(err);
+    return handleDeviceError(err, res, next);
   }
 };
 
@@ -87,8 +180,12 @@ exports.listDevices = async (req, res, next) => {
         deviceId: true,
         deviceName: true,
         isPrimary: true,
+        platform: true,
+        clientVersion: true,
+        capabilities: true,
         createdAt: true,
         lastSeenAt: true,
+        inactiveSince: true,
       },
     });
     return res.json(devices);
@@ -97,6 +194,66 @@ exports.listDevices = async (req, res, next) => {
   }
 };
 
+// Clients report a new version / capability set after upgrading
+exports.updateCurrentDevice = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const deviceId = req.deviceId;
+    if (!deviceId) {
+      return res.status(400).json({ message: 'Device not registered' });
+    }
+
+    const meta = deviceService.deviceMetadataFrom(req.body);
+    if (Object.keys(meta).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const updated = await deviceService.updateDeviceMetadata(req.user.id, deviceId, meta);
+    if (!updated) return res.status(404).json({ message: 'Device not found' });
+    return res.json({ deviceId, ...meta });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getMailbox = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const deviceId = req.deviceId;
+    if (!deviceId) {
+      return res.status(400).json({ message: 'Device not registered' });
+    }
+
+    const { envelopes, hasMore } = await mailboxService.getPendingEnvelopes(req.user.id, deviceId, {
+      limit: Number(req.query.limit) || undefined,
+    });
+    return res.json({ envelopes, hasMore });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.ackMailbox = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const deviceId = req.deviceId;
+    if (!deviceId) {
+      return res.status(400).json({ message: 'Device not registered' });
+    }
+
+    const acknowledged = await mailboxService.acknowledgeEnvelopes(req.user.id, deviceId, req.body.envelopeIds);
+    return res.json({ acknowledged });
+  } catch (err) {
+    next(err);
+  }
+};
+
 exports.unlinkDevice = async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -123,21 +280,26 @@ exports.unlinkDevice = async (req, res, next) => {
       return res.status(403).json({ message: 'Forbidden: only the primary device can unlink other devices' });
     }
 
-    // Delete the device
-    await prisma.device.delete({
-      where: { id: targetDevice.id },
-    });
+    // Delete the device with its prekeys, revoke its refresh and access tokens
+    const io = req.app.get('io');
+    await deviceService.removeDevice(userId, targetId);
+    disconnectDevice(io, userId, targetId);
+    await notifyDeviceListChanged(io, userId, 'unlinked', targetDevice);
 
-    // Revoke refresh tokens for unlinked device
-    await prisma.refreshToken.updateMany({
-      where: { userId, deviceId: String(targetId) },
-      data: { revoked: true },
+    await recordSecurityEvent({
+      userId,
+      type: 'DEVICE_UNLINKED',
+      deviceId: requesterDeviceId,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      metadata: { unlinkedDeviceId: targetId, deviceName: targetDevice.deviceName, self: targetId === requesterDeviceId },
     });
 
     // If unlinking oneself, clear session cookies
     if (targetId === requesterDeviceId) {
       res.clearCookie(ACCESS_COOKIE_NAME, COOKIE_OPTS);
       res.clearCookie(REFRESH_COOKIE_NAME, COOKIE_OPTS);
+      clearCsrfCookie(res);
       return res.status(200).json({ message: 'Device unlinked, signed out successfully', selfUnlinked: true });
     }
 
@@ -147,32 +309,41 @@ exports.unlinkDevice = async (req, res, next) => {
   }
 };
 
+function handleRecoveryCodeError(err, res, next) {
+  if (err && err.name === 'RecoveryCodeError') {
+    if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+    const body = { message: err.message };
+    if (err.retryAfter) body.retryAfter = err.retryAfter;
+    if (err.remainingAttempts !== undefined) body.remainingAttempts = err.remainingAttempts;
+    return res.status(err.status || 400).json(body);
+  }
+  return next(err);
+}
+
 exports.requestRecoveryCode = async (req, res, next) => {
   try {
     const userId = req.user.id;
     const user = await prisma.user.findUnique({ where: { id: userId }, select: { email: true } });
+    if (!user) return res.status(404).json({ message: 'User not found' });
 
-    // Generate random 6-digit code
-    const code = String(100000 + Math.floor(Math.random() * 900000));
-    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes expiry
+    const { code, expiresInSec } = await recoveryCodeService.issueRecoveryCode(userId);
 
-    // Save code to database
-    await prisma.deviceRecoveryCode.create({
-      data: {
-        userId,
-        code,
-        expiresAt,
-      },
+    await mailService.sendTemplate(user.email, 'recoveryCode', {
+      code,
+      expiresInMinutes: Math.round(expiresInSec / 60),
     });
 
-    // Mock Email: print to console logs
-    console.log('\n==================================================');
-    console.log(`[MOCK EMAIL] Promotion recovery code for user ${user.email}: ${code}`);
-    console.log('==================================================\n');
+    await recordSecurityEvent({
+      userId,
+      type: 'RECOVERY_CODE_REQUESTED',
+      deviceId: req.deviceId,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
 
-    return res.json({ message: 'Recovery code sent to your email (check console logs)' });
+    return res.json({ message: 'Recovery code sent to your email' });
   } catch (err) {
-    next(err);
+    return handleRecoveryCodeError(err, res, next);
   }
 };
 
@@ -182,25 +353,38 @@ exports.verifyRecoveryCode = async (req, res, next) => {
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
     const userId = req.user.id;
-    const { code } = req.body;
     const requesterDeviceId = req.deviceId;
 
-    if (!code) {
-      return res.status(400).json({ message: 'Code is required' });
+    if (!requesterDeviceId) {
+      return res.status(400).json({ message: 'Device not registered' });
     }
 
-    const recoveryRecord = await prisma.deviceRecoveryCode.findFirst({
-      where: {
-        userId,
-        code: String(code).trim(),
-        expiresAt: { gt: new Date() },
-      },
+    const requesterDevice = await prisma.device.findUnique({
+      where: { userId_deviceId: { userId, deviceId: requesterDeviceId } },
     });
-
-    if (!recoveryRecord) {
-      return res.status(400).json({ message: 'Invalid or expired recovery code' });
+    if (!requesterDevice) return res.status(404).json({ message: 'Device not found' });
+    if (requesterDevice.isPrimary) return res.status(400).json({ message: 'Device is already primary' });
+
+    try {
+      await recoveryCodeService.consumeRecoveryCode(userId, String(req.body.code));
+    } catch (codeErr) {
+      if (codeErr && codeErr.name === 'RecoveryCodeError' && codeErr.status === 429) {
+        await recordSecurityEvent({
+          userId,
+          type: 'RECOVERY_CODE_LOCKED',
+          deviceId: requesterDeviceId,
+          ip: req.ip,
+          userAgent: req.get('user-agent'),
+        });
+      }
+      throw codeErr;
     }
 
+    const previousPrimaries = await prisma.device.findMany({
+      where: { userId, isPrimary: true },
+      select: { deviceId: true },
+    });
+
     // Valid code: Promote requester device to primary, demote all others
     await prisma.$transaction([
       prisma.device.updateMany({
@@ -211,16 +395,42 @@ exports.verifyRecoveryCode = async (req, res, next) => {
         where: { userId_deviceId: { userId, deviceId: requesterDeviceId } },
         data: { isPrimary: true },
       }),
-      prisma.deviceRecoveryCode.delete({
-        where: { id: recoveryRecord.id },
-      }),
     ]);
 
+    // The old primary may be the lost or stolen device: sign it out everywhere
+    const io = req.app.get('io');
+    for (const { deviceId } of previousPrimaries) {
+      await prisma.refreshToken.updateMany({
+        where: { userId, deviceId: String(deviceId), revoked: false },
+        data: { revoked: true },
+      });
+      await tokenDenylist.revokeDevice(userId, deviceId);
+      disconnectDevice(io, userId, deviceId);
+    }
+
+    const previousPrimaryDeviceIds = previousPrimaries.map(d => d.deviceId);
+
+    if (io) {
+      io.to(`user:${userId}`).except(`device:${userId}:${requesterDeviceId}`).emit('device.primary_changed', {
+        deviceId: requesterDeviceId,
+        previousPrimaryDeviceIds,
+      });
+    }
+
+    await recordSecurityEvent({
+      userId,
+      type: 'PRIMARY_DEVICE_PROMOTED',
+      deviceId: requesterDeviceId,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      metadata: { method: 'recovery_code', previousPrimaryDeviceIds },
+    });
+
     return res.json({
       message: 'Device successfully promoted to primary',
       deviceId: requesterDeviceId,
     });
   } catch (err) {
-    next(err);
+    return handleRecoveryCodeError(err, res, next);
   }
 };
@@ -1,4 +1,37 @@
+const { validationResult } = require('express-validator');
 const keyService = require('../services/keyService');
+const KeyTransparency = require('../services/keyTransparencyService');
+const MessageService = require('../services/messageService');
+const { notifyConversationPeers } = require('../services/socketService');
+const { recordSecurityEvent } = require('../services/securityEventService');
+
+// A device replaced its identity key: everyone sharing a conversation must re-verify the
+// safety number. Live clients get 'keys.identity_changed', and a notice is stored in each
+// conversation for the ones that are offline.
+async function announceIdentityChange(req, userId, deviceId) {
+  const io = req.app.get('io');
+  const changedAt = new Date();
+
+  await recordSecurityEvent({
+    userId,
+    type: 'IDENTITY_KEY_CHANGED',
+    deviceId,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  const notices = await MessageService.createIdentityChangeNotices({ userId, deviceId });
+  if (!io) return;
+
+  for (const notice of notices) {
+    io.to(`conv:${notice.conversationId}`).emit('message', { message: notice });
+  }
+  await notifyConversationPeers(io, userId, 'keys.identity_changed', {
+    userId,
+    deviceId: Number(deviceId),
+    changedAt,
+  });
+}
 
 exports.uploadKeys = async (req, res, next) => {
   try {
@@ -7,9 +40,19 @@ exports.uploadKeys = async (req, res, next) => {
     if (!deviceId) {
       return res.status(400).json({ message: 'Device not registered' });
     }
-    await keyService.uploadKeys(userId, deviceId, req.body);
+    const { identityChanged } = await keyService.uploadKeys(userId, deviceId, req.body || {});
+    if (identityChanged) {
+      try {
+        await announceIdentityChange(req, userId, deviceId);
+      } catch (notifyErr) {
+        console.error('Failed to announce identity key change', notifyErr);
+      }
+    }
     return res.json({ message: 'Keys uploaded successfully' });
   } catch (err) {
+    if (err && err.name === 'KeyUploadError') {
+      return res.status(400).json({ message: err.message, key: err.key, field: err.field, reason: err.reason });
+    }
     next(err);
   }
 };
@@ -17,7 +60,7 @@ exports.uploadKeys = async (req, res, next) => {
 exports.getPreKeyBundle = async (req, res, next) => {
   try {
     const { userId } = req.params; // The user we want to talk to
-    const bundle = await keyService.getPreKeyBundle(userId);
+    const bundle = await keyService.getPreKeyBundle(userId, { io: req.app.get('io') });
     return res.json(bundle);
   } catch (err) {
     next(err);
@@ -44,9 +87,58 @@ exports.getPreKeyBundles = async (req, res, next) => {
     if (!Array.isArray(userIds)) {
       return res.status(400).json({ message: 'userIds must be an array' });
     }
-    const bundles = await keyService.getPreKeyBundles(userIds);
+    const bundles = await keyService.getPreKeyBundles(userIds, { io: req.app.get('io') });
     return res.json({ bundles });
   } catch (err) {
     next(err);
   }
-};
\ No newline at end of file
+};
+
+function handleTransparencyError(err, res, next) {
+  if (err && err.name === 'TransparencyError') {
+    return res.status(err.status).json({ message: err.message });
+  }
+  return next(err);
+}
+
+exports.getTransparencyHead = async (req, res, next) => {
+  try {
+    const head = await KeyTransparency.getSignedTreeHead();
+    return res.json(head);
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getInclusionProof = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const { leafIndex, userId, deviceId, treeSize } = req.query;
+    const proof = await KeyTransparency.getInclusionProof({
+      leafIndex: leafIndex !== undefined ? Number(leafIndex) : undefined,
+      userId,
+      deviceId: deviceId !== undefined ? Number(deviceId) : undefined,
+      treeSize: treeSize !== undefined ? Number(treeSize) : undefined,
+    });
+    return res.json(proof);
+  } catch (err) {
+    return handleTransparencyError(err, res, next);
+  }
+};
+
+exports.getConsistencyProof = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const proof = await KeyTransparency.getConsistencyProof({
+      first: Number(req.query.first),
+      second: req.query.second !== undefined ? Number(req.query.second) : undefined,
+    });
+    return res.json(proof);
+  } catch (err) {
+    return handleTransparencyError(err, res, next);
+  }
+};
@@ -2,6 +2,7 @@ const { validationResult } = require('express-validator');
 const prisma = require('../db/prismaClient');
 const { olderThanCursorWhere, parseCursorParam, makeCursorToken } = require('../utils/pagination');
 const MessageService = require('../services/messageService');
+const MailboxService = require('../services/mailboxService');
 
 exports.getMessages = async (req, res, next) => {
   try {
@@ -101,26 +102,20 @@ exports.sendMessage = async (req, res, next) => {
       replyToId
     });
 
-    // Socket Emissions
+    // Per-device envelopes are queued even without a socket server so devices can drain them over REST
     const io = req.app.get('io');
+    const fanoutMap = contentType === 'SIGNAL_ENCRYPTED' ? MailboxService.parseFanoutMap(result.message.content) : null;
+    if (fanoutMap) {
+      await MailboxService.dispatchFanout(io, {
+        message: result.message,
+        fanoutMap,
+        allowedUserIds: [userId, ...result.recipients],
+      });
+    }
+
+    // Socket Emissions
     if (io) {
-      if (contentType === 'SIGNAL_ENCRYPTED' && result.message.content && result.message.content.startsWith('{')) {
-        try {
-          const parsedMap = JSON.parse(result.message.content);
-          if (parsedMap && typeof parsedMap === 'object' && !parsedMap.type) {
-            for (const [addressKey, ciphertext] of Object.entries(parsedMap)) {
-              const [recipientId, targetDeviceId] = addressKey.split('.');
-              io.to(`device:${recipientId}:${targetDeviceId}`).emit('message', {
-                message: { ...result.message, content: JSON.stringify(ciphertext) }
-              });
-            }
-          } else {
-            io.to(`conv:${convId}`).emit('message', { message: result.message });
-          }
-        } catch (e) {
-          io.to(`conv:${convId}`).emit('message', { message: result.message });
-        }
-      } else {
+      if (!fanoutMap) {
         io.to(`conv:${convId}`).emit('message', { message: result.message });
       }
 
@@ -0,0 +1,68 @@
+const { validationResult } = require('express-validator');
+const tokenService = require('../services/tokenService');
+const { disconnectSessions } = require('../services/socketService');
+const { clearCsrfCookie } = require('../middleware/csrf');
+
+const REFRESH_COOKIE_NAME = 'refreshToken';
+const ACCESS_COOKIE_NAME = 'accessToken';
+
+const COOKIE_OPTS = {
+  httpOnly: true,
+  secure: process.env.COOKIE_SECURE === 'true',
+  sameSite: 'lax',
+  path: '/',
+};
+
+// How the caller identifies its own session: sid claim first, refresh cookie as fallback
+function currentSessionHints(req) {
+  return {
+    sessionId: req.sessionId || null,
+    currentToken: (req.cookies && req.cookies[REFRESH_COOKIE_NAME]) || null,
+  };
+}
+
+exports.listSessions = async (req, res, next) => {
+  try {
+    const sessions = await tokenService.listSessions(req.user.id, currentSessionHints(req));
+    return res.json({ sessions });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const result = await tokenService.revokeSession(req.user.id, req.params.id, currentSessionHints(req));
+    if (!result) return res.status(404).json({ message: 'Session not found' });
+
+    disconnectSessions(req.app.get('io'), result.revokedTokenIds);
+
+    if (result.wasCurrent) {
+      res.clearCookie(ACCESS_COOKIE_NAME, COOKIE_OPTS);
+      res.clearCookie(REFRESH_COOKIE_NAME, COOKIE_OPTS);
+      clearCsrfCookie(res);
+    }
+
+    return res.json({ message: 'Session revoked', current: result.wasCurrent });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const result = await tokenService.revokeOtherSessions(req.user.id, currentSessionHints(req));
+
+    disconnectSessions(req.app.get('io'), result.revokedTokenIds);
+
+    return res.json({ message: 'Signed out of all other sessions', revoked: result.revokedSessions });
+  } catch (err) {
+    if (err && err.name === 'TokenError') {
+      return res.status(400).json({ message: err.message });
+    }
+    return next(err);
+  }
+};
@@ -0,0 +1,72 @@
+const { validationResult } = require('express-validator');
+const argon2 = require('argon2');
+const prisma = require('../db/prismaClient');
+const totpService = require('../services/totpService');
+
+function handleTotpError(err, res, next) {
+  if (err && err.name === 'TotpError') {
+    return res.status(400).json({ message: err.message });
+  }
+  return next(err);
+}
+
+exports.getStatus = async (req, res, next) => {
+  try {
+    const status = await totpService.getStatus(req.user.id);
+    return res.json(status);
+  } catch (err) {
+    return next(err);
+  }
+};
+
+exports.setup = async (req, res, next) => {
+  try {
+    const { secret, otpauthUri } = await totpService.beginEnrollment(req.user.id);
+    return res.json({ secret, otpauthUri });
+  } catch (err) {
+    return handleTotpError(err, res, next);
+  }
+};
+
+exports.confirm = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const backupCodes = await totpService.confirmEnrollment(req.user.id, String(req.body.code));
+    return res.json({ message: 'Two-factor authentication enabled', backupCodes });
+  } catch (err) {
+    return handleTotpError(err, res, next);
+  }
+};
+
+exports.regenerateBackupCodes = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const backupCodes = await totpService.regenerateBackupCodes(req.user.id, String(req.body.code));
+    return res.json({ backupCodes });
+  } catch (err) {
+    return handleTotpError(err, res, next);
+  }
+};
+
+exports.disable = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const userId = req.user.id;
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { passwordHash: true } });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const ok = await argon2.verify(user.passwordHash, String(req.body.password));
+    if (!ok) return res.status(401).json({ message: 'Password is incorrect' });
+
+    await totpService.disable(userId, String(req.body.code));
+    return res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    return handleTotpError(err, res, next);
+  }
+};
@@ -1,6 +1,10 @@
 const s3Service = require('../services/s3Service');
 const { validationResult, matchedData } = require('express-validator');
 const prisma = require('../db/prismaClient');
+const tokenDenylist = require('../services/tokenDenylistService');
+const { disconnectUser } = require('../services/socketService');
+const { listSecurityEvents } = require('../services/securityEventService');
+const KeyTransparency = require('../services/keyTransparencyService');
 
 const ALLOWED_MIME = new Set(['image/jpeg', 'image/png', 'image/webp']);
 // 4MB Limit (Make sure this matches your frontend limit)
@@ -26,6 +30,8 @@ exports.getMe = async (req, res, next) => {
         lastSeen: true,
         createdAt: true,
         friendCode: true,
+        isVerified: true,
+        totpEnabled: true,
       },
     });
 
@@ -36,6 +42,21 @@ exports.getMe = async (req, res, next) => {
   }
 };
 
+exports.getSecurityEvents = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const result = await listSecurityEvents(req.user.id, {
+      limit: Number(req.query.limit) || undefined,
+      cursor: req.query.cursor || null,
+    });
+    return res.json(result);
+  } catch (err) {
+    return next(err);
+  }
+};
+
 exports.getAvatarUploadUrl = async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -235,11 +256,23 @@ exports.deleteAccount = async (req, res, next) => {
       select: { id: true, requesterId: true, addresseeId: true }
     });
 
-    await prisma.user.delete({
-      where: { id: userId }
+    // the key transparency log outlives the account: record that its device keys are gone
+    await prisma.$transaction(async (tx) => {
+      const devices = await tx.device.findMany({
+        where: { userId },
+        include: { identityKey: true }
+      });
+      await KeyTransparency.appendRemovals(tx, devices);
+      await tx.user.delete({
+        where: { id: userId }
+      });
     });
 
+    // outstanding access tokens would otherwise stay valid until they expire
+    await tokenDenylist.revokeUser(userId);
+
     const io = req.app.get("io");
+    disconnectUser(io, userId);
 
     if (io) {
       for (let f of friendships) {
@@ -0,0 +1,101 @@
+const { validationResult } = require('express-validator');
+const argon2 = require('argon2');
+const prisma = require('../db/prismaClient');
+const totpService = require('../services/totpService');
+const loginThrottle = require('../services/loginThrottleService');
+const webauthnService = require('../services/webauthnService');
+
+function handleWebAuthnError(err, res, next) {
+  if (err && err.name === 'WebAuthnError') {
+    return res.status(err.status || 400).json({ message: err.message });
+  }
+  return next(err);
+}
+
+function requestContext(req) {
+  return { deviceId: req.deviceId || null, ip: req.ip, userAgent: req.get('user-agent') };
+}
+
+// A passkey signs in without password or 2FA, so the caller proves both again before we
+// issue a registration challenge; a stolen access token alone is not enough.
+async function reauthenticate(req, res, userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { passwordHash: true, totpEnabled: true },
+  });
+  if (!user) return res.status(404).json({ message: 'User not found' });
+
+  const ok = await argon2.verify(user.passwordHash, String(req.body.password));
+  if (!ok) return res.status(401).json({ message: 'Password is incorrect' });
+
+  if (!user.totpEnabled) return null;
+  if (!req.body.code) return res.status(401).json({ message: 'Authentication code required', mfaRequired: true });
+
+  const attempt = await loginThrottle.claimMfaAttempt(userId);
+  if (!attempt.allowed) {
+    res.set('Retry-After', String(attempt.retryAfter));
+    return res.status(429).json({ message: 'Too many attempts, please try again later', retryAfter: attempt.retryAfter });
+  }
+  if (!(await totpService.verifySecondFactor(userId, String(req.body.code)))) {
+    const lockout = await loginThrottle.recordMfaFailure(userId, attempt);
+    if (lockout.lockedOut) {
+      res.set('Retry-After', String(lockout.retryAfter));
+      return res.status(429).json({ message: 'Too many attempts, please try again later', retryAfter: lockout.retryAfter });
+    }
+    return res.status(401).json({ message: 'Invalid authentication code' });
+  }
+  return null;
+}
+
+exports.registrationOptions = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const rejected = await reauthenticate(req, res, req.user.id);
+    if (rejected) return rejected;
+
+    const options = await webauthnService.registrationOptions(req.user.id);
+    return res.json(options);
+  } catch (err) {
+    return handleWebAuthnError(err, res, next);
+  }
+};
+
+exports.verifyRegistration = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const name = req.body.name ? String(req.body.name).trim() : null;
+    const credential = await webauthnService.verifyRegistration(req.user.id, req.body.response, {
+      name,
+      ...requestContext(req),
+    });
+    return res.status(201).json({ message: 'Passkey registered', credential });
+  } catch (err) {
+    return handleWebAuthnError(err, res, next);
+  }
+};
+
+exports.listCredentials = async (req, res, next) => {
+  try {
+    const credentials = await webauthnService.listCredentials(req.user.id);
+    return res.json({ credentials });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+exports.deleteCredential = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const deleted = await webauthnService.deleteCredential(req.user.id, req.params.id, requestContext(req));
+    if (!deleted) return res.status(404).json({ message: 'Passkey not found' });
+    return res.status(204).send();
+  } catch (err) {
+    return next(err);
+  }
+};
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { extractBearerToken } = require('../utils/tokenTransport');
+const tokenService = require('../services/tokenService');
+
+// Signed double-submit CSRF protection for cookie-authenticated requests.
+// The token is `<nonce>.<hmac(sessionId, nonce)>`, stored in a cookie the frontend can read
+// and echoed back in the X-CSRF-Token header on every state-changing request. The session
+// id (refresh token family) is recomputed from the auth cookies on every check, so a token
+// minted for one session is useless in another.
+
+const CSRF_COOKIE_NAME = 'csrfToken';
+const CSRF_HEADER_NAME = 'x-csrf-token';
+const CSRF_SECRET = process.env.CSRF_SECRET || process.env.JWT_ACCESS_SECRET;
+const REFRESH_EXPIRES_SEC = Number(process.env.REFRESH_TOKEN_EXPIRES || 60 * 60 * 24 * 7);
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+const AUTH_COOKIES = ['accessToken', 'refreshToken'];
+
+const CSRF_COOKIE_OPTS = {
+  httpOnly: false, // must be readable by the frontend to echo it in the header
+  secure: process.env.COOKIE_SECURE === 'true',
+  sameSite: 'lax',
+  path: '/',
+};
+
+function sign(sessionId, nonce) {
+  return crypto.createHmac('sha256', CSRF_SECRET).update(`${sessionId}.${nonce}`).digest('base64url');
+}
+
+function generateCsrfToken(sessionId) {
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  return `${nonce}.${sign(sessionId, nonce)}`;
+}
+
+function isValidCsrfToken(token, sessionId) {
+  if (typeof token !== 'string' || !sessionId) return false;
+  const [nonce, mac] = token.split('.');
+  if (!nonce || !mac) return false;
+  const expected = Buffer.from(sign(sessionId, nonce));
+  const given = Buffer.from(mac);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// sessionId: the refresh token family the cookie is issued alongside
+function setCsrfCookie(res, sessionId) {
+  const token = generateCsrfToken(sessionId);
+  res.cookie(CSRF_COOKIE_NAME, token, { ...CSRF_COOKIE_OPTS, maxAge: REFRESH_EXPIRES_SEC * 1000 });
+  return token;
+}
+
+async function sessionIdFromCookies(cookies = {}) {
+  return tokenService.resolveSessionId({ accessToken: cookies.accessToken, refreshToken: cookies.refreshToken });
+}
+
+function clearCsrfCookie(res) {
+  res.clearCookie(CSRF_COOKIE_NAME, CSRF_COOKIE_OPTS);
+}
+
+async function csrfProtection(req, res, next) {
+  if (SAFE_METHODS.has(req.method)) return next();
+
+  // Bearer clients don't carry ambient credentials, so they can't be forged cross-site
+  if (extractBearerToken(req)) return next();
+
+  // No auth cookies means nothing to ride on (login, register, password reset, ...)
+  const cookies = req.cookies || {};
+  if (!AUTH_COOKIES.some(name => cookies[name])) return next();
+
+  const cookieToken = cookies[CSRF_COOKIE_NAME];
+  const headerToken = req.get(CSRF_HEADER_NAME);
+
+  if (!cookieToken || !headerToken || cookieToken !== headerToken) {
+    return res.status(403).json({ message: 'Invalid or missing CSRF token', code: 'CSRF_INVALID' });
+  }
+
+  try {
+    const sessionId = await sessionIdFromCookies(cookies);
+    if (!isValidCsrfToken(cookieToken, sessionId)) {
+      return res.status(403).json({ message: 'Invalid or missing CSRF token', code: 'CSRF_INVALID' });
+    }
+  } catch (err) {
+    return next(err);
+  }
+  return next();
+}
+
+module.exports = { csrfProtection, setCsrfCookie, clearCsrfCookie, sessionIdFromCookies };
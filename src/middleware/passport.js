@@ -3,10 +3,20 @@ const LocalStrategy = require('passport-local').Strategy;
 const { Strategy: JwtStrategy, ExtractJwt } = require('passport-jwt');
 const argon2 = require('argon2');
 const prisma = require('../db/prismaClient');
+const { extractBearerToken } = require('../utils/tokenTransport');
+const tokenDenylist = require('../services/tokenDenylistService');
+const { touchDevice } = require('../services/deviceService');
 
 const ACCESS_SECRET = process.env.JWT_ACCESS_SECRET;
 if (!ACCESS_SECRET) throw new Error('Missing JWT_ACCESS_SECRET env variable');
 
+// Verified against when the email is unknown, so both failure paths take the same time
+let dummyHashPromise = null;
+function dummyHash() {
+  if (!dummyHashPromise) dummyHashPromise = argon2.hash('vault-relay-dummy-password');
+  return dummyHashPromise;
+}
+
 function initializePassport() {
   // Local strategy
   passport.use(new LocalStrategy(
@@ -14,8 +24,10 @@ function initializePassport() {
     async (email, password, done) => {
       try {
         const user = await prisma.user.findUnique({ where: { email } });
-        if (!user) return done(null, false, { message: 'Invalid credentials' });
-        if (!user.passwordHash) return done(null, false, { message: 'Invalid credentials' });
+        if (!user || !user.passwordHash) {
+          await argon2.verify(await dummyHash(), password);
+          return done(null, false, { message: 'Invalid credentials' });
+        }
 
         const ok = await argon2.verify(user.passwordHash, password);
         if (!ok) return done(null, false, { message: 'Invalid credentials' });
@@ -23,6 +35,7 @@ function initializePassport() {
         // remove sensitive fields before returning
         const safeUser = { ...user };
         delete safeUser.passwordHash;
+        delete safeUser.totpSecret;
         return done(null, safeUser);
       } catch (err) {
         return done(err);
@@ -38,20 +51,26 @@ function initializePassport() {
     return null;
   }
 
-  // JWT strategy
+  // JWT strategy: Authorization: Bearer header (native/CLI clients) first, then the cookie
   passport.use(new JwtStrategy({
-    jwtFromRequest: extractFromCookie,
+    jwtFromRequest: ExtractJwt.fromExtractors([extractBearerToken, extractFromCookie]),
     secretOrKey: ACCESS_SECRET,
     passReqToCallback: true,
   }, async (req, payload, done) => {
     try {
       const userId = payload && payload.sub;
       if (!userId) return done(null, false);
+      if (await tokenDenylist.isRevoked(payload)) return done(null, false);
       const user = await prisma.user.findUnique({ where: { id: userId } });
       if (!user) return done(null, false);
       const safeUser = { ...user };
       delete safeUser.passwordHash;
+      delete safeUser.totpSecret;
       req.deviceId = payload.deviceId ? parseInt(payload.deviceId) : null;
+      // throttled and best-effort, don't hold up the request
+      touchDevice(userId, req.deviceId);
+      req.sessionId = payload.sid || null;
+      req.authScheme = extractBearerToken(req) ? 'bearer' : 'cookie';
       return done(null, safeUser);
     } catch (err) {
       return done(err);
@@ -0,0 +1,11 @@
+// Gate for actions that need a confirmed email address. Disabled unless
+// REQUIRE_EMAIL_VERIFICATION=true so existing unverified accounts keep working.
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+function requireVerifiedEmail(req, res, next) {
+  if (!REQUIRE_EMAIL_VERIFICATION) return next();
+  if (req.user && req.user.isVerified) return next();
+  return res.status(403).json({ message: 'Email address not verified', code: 'EMAIL_NOT_VERIFIED' });
+}
+
+module.exports = requireVerifiedEmail;
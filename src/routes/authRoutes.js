@@ -1,7 +1,21 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
+const passport = require('passport');
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
+const sessionsController = require('../controllers/sessionsController');
+const webauthnController = require('../controllers/webauthnController');
 const router = express.Router();
+const auth = passport.authenticate('jwt', { session: false });
+
+// shared password policy for register / reset / change
+const passwordRules = (field) => body(field)
+  .isString()
+  .withMessage('Password required')
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters')
+  .matches(/(?=(?:.*\d){3,})(?=.*[A-Z]).*/)
+  .withMessage('Password must contain at least one uppercase letter and at least 3 digits');
 
 
 //register route
@@ -11,13 +25,7 @@ router.post(
     // validation + light normalization
     body('email').isEmail().withMessage('Valid email required').normalizeEmail(),
 
-    body('password')
-      .isString()
-      .withMessage('Password required')
-      .isLength({ min: 6 })
-      .withMessage('Password must be at least 6 characters')
-      .matches(/(?=(?:.*\d){3,})(?=.*[A-Z]).*/)
-      .withMessage('Password must contain at least one uppercase letter and at least 3 digits'),
+    passwordRules('password'),
 
     body('displayName')
       .isString()
@@ -44,10 +52,139 @@ router.post(
     authController.login
 );
 
+// Early unlock after a login lockout (token from the lockout email)
+router.post(
+  '/unlock',
+  [body('token').isString().notEmpty().withMessage('token required')],
+  authController.unlockAccount
+);
+
 // Token refresh route
 router.post('/refresh', authController.refresh);
 
+// Token refresh for bearer clients (refresh token in and out of the JSON body)
+router.post(
+  '/token/refresh',
+  [body('refreshToken').isString().notEmpty().withMessage('refreshToken required')],
+  authController.refreshTokenBody
+);
+
+// CSRF token for cookie-authenticated clients
+router.get('/csrf', authController.csrfToken);
+
 // Logout route
 router.post('/logout', authController.logout);
 
+// Email verification
+router.post(
+  '/verify-email',
+  [body('token').isString().notEmpty().withMessage('token required')],
+  authController.verifyEmail
+);
+router.post('/verify-email/resend', auth, authController.resendVerification);
+
+// Password reset (unauthenticated) and change (authenticated)
+router.post(
+  '/password/forgot',
+  [body('email').isEmail().withMessage('Valid email required').normalizeEmail()],
+  authController.forgotPassword
+);
+router.post(
+  '/password/reset',
+  [
+    body('token').isString().notEmpty().withMessage('token required'),
+    passwordRules('password'),
+  ],
+  authController.resetPassword
+);
+router.post(
+  '/password',
+  auth,
+  [
+    body('currentPassword').isString().notEmpty().withMessage('Current password required'),
+    passwordRules('newPassword'),
+  ],
+  authController.changePassword
+);
+
+// Two-factor authentication (TOTP)
+router.post(
+  '/2fa/verify',
+  [
+    body('mfaToken').isString().notEmpty().withMessage('mfaToken required'),
+    body('code').isString().trim().notEmpty().withMessage('code required'),
+  ],
+  authController.verifyMfa
+);
+router.get('/2fa', auth, twoFactorController.getStatus);
+router.post('/2fa/setup', auth, twoFactorController.setup);
+router.post(
+  '/2fa/confirm',
+  auth,
+  [body('code').isString().trim().isLength({ min: 6, max: 6 }).withMessage('6-digit code required')],
+  twoFactorController.confirm
+);
+router.post(
+  '/2fa/backup-codes',
+  auth,
+  [body('code').isString().trim().notEmpty().withMessage('code required')],
+  twoFactorController.regenerateBackupCodes
+);
+router.post(
+  '/2fa/disable',
+  auth,
+  [
+    body('password').isString().notEmpty().withMessage('Password required'),
+    body('code').isString().trim().notEmpty().withMessage('code required'),
+  ],
+  twoFactorController.disable
+);
+
+// Passkeys (WebAuthn): registration for signed-in users, passwordless login for everyone
+const webauthnResponseRules = body('response')
+  .isObject()
+  .withMessage('response required')
+  .custom((value) => typeof value.id === 'string' && typeof value.response === 'object' && value.response !== null)
+  .withMessage('malformed credential response');
+
+// registering a passkey needs the password (and the second factor when enabled) again:
+// an access token alone must not be turned into a lasting credential
+router.post(
+  '/webauthn/register/options',
+  auth,
+  [
+    body('password').isString().notEmpty().withMessage('Password required'),
+    body('code').optional().isString().trim().notEmpty().withMessage('code must be a non-empty string'),
+  ],
+  webauthnController.registrationOptions
+);
+router.post(
+  '/webauthn/register/verify',
+  auth,
+  [
+    webauthnResponseRules,
+    body('name').optional().isString().trim().isLength({ max: 64 }).withMessage('Passkey name too long'),
+  ],
+  webauthnController.verifyRegistration
+);
+router.get('/webauthn/credentials', auth, webauthnController.listCredentials);
+router.delete(
+  '/webauthn/credentials/:id',
+  auth,
+  [param('id').isUUID().withMessage('invalid credential id')],
+  webauthnController.deleteCredential
+);
+router.post('/webauthn/login/options', authController.webauthnLoginOptions);
+router.post('/webauthn/login/verify', [webauthnResponseRules], authController.webauthnLogin);
+
+// Active sessions (refresh token rotation chains)
+router.get('/sessions', auth, sessionsController.listSessions);
+router.post('/sessions/revoke-others', auth, sessionsController.revokeOtherSessions);
+router.delete(
+  '/sessions/:id',
+  auth,
+  [param('id').isUUID().withMessage('invalid session id')],
+  sessionsController.revokeSession
+);
+
 module.exports = router;
\ No newline at end of file
@@ -1,20 +1,49 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const router = express.Router();
 const deviceController = require('../controllers/deviceController');
 const passport = require('passport');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const { DEVICE_LIMIT_CEILING, isCapabilityMap } = require('../services/deviceService');
 const auth = passport.authenticate('jwt', { session: false });
 
-router.post('/register', auth, [
-  body('deviceName').optional().isString().trim().isLength({ max: 64 })
+// platform / client version / capability flags reported by the client
+const deviceMetadataRules = [
+  body('platform').optional().isString().trim().isLength({ min: 1, max: 32 }),
+  body('clientVersion').optional().isString().trim().isLength({ min: 1, max: 32 }),
+  body('capabilities').optional().custom(isCapabilityMap).withMessage('capabilities must map flag names to booleans'),
+];
+
+router.post('/register', auth, requireVerifiedEmail, [
+  body('deviceName').optional().isString().trim().isLength({ max: 64 }),
+  ...deviceMetadataRules
 ], deviceController.registerDevice);
+router.post('/link', auth, requireVerifiedEmail, [
+  body('deviceName').optional().isString().trim().isLength({ max: 64 }),
+  body('ephemeralPublicKey').isString().isBase64().isLength({ min: 32, max: 256 }),
+  ...deviceMetadataRules
+], deviceController.openLinkSession);
+router.get('/link/:id', auth, [
+  param('id').isUUID()
+], deviceController.getLinkSession);
+router.post('/link/:id/complete', auth, [
+  param('id').isUUID()
+], deviceController.completeLinkSession);
 router.get('/', auth, deviceController.listDevices);
+router.patch('/me', auth, deviceMetadataRules, deviceController.updateCurrentDevice);
+router.get('/mailbox', auth, [
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+], deviceController.getMailbox);
+router.post('/mailbox/ack', auth, [
+  body('envelopeIds').isArray({ min: 1, max: 500 }),
+  body('envelopeIds.*').isUUID()
+], deviceController.ackMailbox);
 router.delete('/:deviceId', auth, [
-  param('deviceId').isInt({ min: 1, max: 5 }).toInt()
+  param('deviceId').isInt({ min: 1, max: DEVICE_LIMIT_CEILING }).toInt()
 ], deviceController.unlinkDevice);
 router.post('/recover/request', auth, deviceController.requestRecoveryCode);
 router.post('/recover/verify', auth, [
-  body('code').isString().trim().isLength({ min: 6, max: 6 })
+  body('code').isString().trim().isLength({ min: 6, max: 6 }).isNumeric()
 ], deviceController.verifyRecoveryCode);
 
 module.exports = router;
@@ -2,6 +2,7 @@ const route = require('express').Router();
 const passport = require('passport');
 const { param, body } = require('express-validator');
 const friendController = require('../controllers/friendController');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
 const auth = passport.authenticate('jwt', { session: false });
 
 // List friends (for current user)
@@ -29,6 +30,7 @@ route.get(
 route.post(
   '/',
   auth,
+  requireVerifiedEmail,
   [
     body('friendCode').isString().notEmpty().withMessage('friendCode is required'),
   ],
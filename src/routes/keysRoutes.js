@@ -2,11 +2,38 @@ const express = require('express');
 const router = express.Router();
 const keysController = require('../controllers/keysController');
 const passport = require('passport');
+const { query } = require('express-validator');
 const auth = passport.authenticate('jwt', { session: false });
 
 router.post('/', auth, keysController.uploadKeys);
 router.get('/count', auth, keysController.getPreKeyCount);
 router.post('/batch', auth, keysController.getPreKeyBundles);
+router.get('/transparency/head', auth, keysController.getTransparencyHead);
+router.get(
+  '/transparency/inclusion',
+  auth,
+  [
+    query('leafIndex').optional().isInt({ min: 0 }),
+    query('userId').optional().isString().notEmpty(),
+    query('deviceId').optional().isInt({ min: 1 }),
+    query('treeSize').optional().isInt({ min: 1 }),
+    query().custom((value, { req }) => {
+      const { leafIndex, userId, deviceId } = req.query;
+      if (leafIndex !== undefined || (userId !== undefined && deviceId !== undefined)) return true;
+      throw new Error('Provide leafIndex, or userId and deviceId');
+    }),
+  ],
+  keysController.getInclusionProof
+);
+router.get(
+  '/transparency/consistency',
+  auth,
+  [
+    query('first').isInt({ min: 1 }),
+    query('second').optional().isInt({ min: 1 }),
+  ],
+  keysController.getConsistencyProof
+);
 router.get('/:userId', auth, keysController.getPreKeyBundle);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 const express = require('express');
 const passportModule = require('passport');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const usersController = require('../controllers/usersController');
 const router = express.Router();
 
@@ -8,6 +8,16 @@ const auth = passportModule.authenticate('jwt', { session: false });
 
 router.get('/me', auth, usersController.getMe);
 
+router.get(
+  '/me/security-events',
+  auth,
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+    query('cursor').optional().isString().isLength({ max: 512 }),
+  ],
+  usersController.getSecurityEvents
+);
+
 router.patch(
   '/me',
   auth,
@@ -82,7 +82,7 @@ process.on('uncaughtException', (err) => {
 });
 
 // initialize background tasks
-initializeCronJobs();
+initializeCronJobs(io);
 
 // start server
 server.listen(PORT, () => {
@@ -1,5 +1,14 @@
 const cron = require('node-cron');
 const prisma = require('../db/prismaClient');
+const { pruneExpiredEnvelopes } = require('./mailboxService');
+const { pruneUserTokens } = require('./userTokenService');
+const { pruneExpiredChallenges } = require('./webauthnService');
+const { pruneRecoveryCodes } = require('./recoveryCodeService');
+const { pruneLinkSessions } = require('./deviceLinkService');
+const { flagInactiveDevices, unlinkInactiveDevices } = require('./deviceService');
+const { disconnectDevice, notifyDeviceListChanged } = require('./socketService');
+const { remindStalePreKeys, prunePreviousPreKeys } = require('./keyService');
+const { pruneSystemNotices } = require('./messageService');
 
 async function cleanupReadMessages() {
     console.log('Starting encrypted message cleanup sweep...');
@@ -57,12 +66,114 @@ async function cleanupReadMessages() {
     }
 }
 
-function initializeCronJobs() {
+async function cleanupSystemNotices() {
+    try {
+        const count = await pruneSystemNotices();
+        console.log(`[Cleanup] System notice sweep complete: Deleted ${count} expired notices.`);
+    } catch (error) {
+        console.error('[Cleanup] Error during system notice cleanup sweep:', error);
+    }
+}
+
+async function cleanupExpiredEnvelopes() {
+    try {
+        const count = await pruneExpiredEnvelopes();
+        console.log(`[Cleanup] Envelope sweep complete: Deleted ${count} expired device envelopes.`);
+    } catch (error) {
+        console.error('[Cleanup] Error during envelope cleanup sweep:', error);
+    }
+}
+
+async function cleanupUserTokens() {
+    try {
+        const count = await pruneUserTokens();
+        console.log(`[Cleanup] User token sweep complete: Deleted ${count} used or expired tokens.`);
+    } catch (error) {
+        console.error('[Cleanup] Error during user token cleanup sweep:', error);
+    }
+}
+
+async function cleanupWebAuthnChallenges() {
+    try {
+        const count = await pruneExpiredChallenges();
+        console.log(`[Cleanup] WebAuthn challenge sweep complete: Deleted ${count} expired challenges.`);
+    } catch (error) {
+        console.error('[Cleanup] Error during WebAuthn challenge cleanup sweep:', error);
+    }
+}
+
+async function cleanupRecoveryCodes() {
+    try {
+        const count = await pruneRecoveryCodes();
+        console.log(`[Cleanup] Recovery code sweep complete: Deleted ${count} used or expired codes.`);
+    } catch (error) {
+        console.error('[Cleanup] Error during recovery code cleanup sweep:', error);
+    }
+}
+
+async function cleanupLinkSessions(io) {
+    try {
+        const { count, removed } = await pruneLinkSessions();
+        for (const device of removed) {
+            disconnectDevice(io, device.userId, device.deviceId);
+            await notifyDeviceListChanged(io, device.userId, 'unlinked', device);
+        }
+        console.log(`[Cleanup] Device link sweep complete: Deleted ${count} expired link sessions, unlinked ${removed.length} abandoned devices.`);
+    } catch (error) {
+        console.error('[Cleanup] Error during device link cleanup sweep:', error);
+    }
+}
+
+async function expireInactiveDevices(io) {
+    try {
+        const flagged = await flagInactiveDevices();
+        const removed = await unlinkInactiveDevices();
+        for (const device of removed) {
+            disconnectDevice(io, device.userId, device.deviceId);
+            await notifyDeviceListChanged(io, device.userId, 'unlinked', device);
+        }
+        console.log(`[Cleanup] Device inactivity sweep complete: Flagged ${flagged}, unlinked ${removed.length} devices.`);
+    } catch (error) {
+        console.error('[Cleanup] Error during device inactivity sweep:', error);
+    }
+}
+
+async function checkPreKeyRotation(io) {
+    try {
+        const reminded = await remindStalePreKeys(io);
+        const pruned = await prunePreviousPreKeys();
+        console.log(`[Cleanup] Prekey rotation sweep complete: Reminded ${reminded} devices, dropped ${pruned} replaced keys.`);
+    } catch (error) {
+        console.error('[Cleanup] Error during prekey rotation sweep:', error);
+    }
+}
+
+function initializeCronJobs(io) {
     // Run every 48 hours in production
     cron.schedule('0 0 */2 * *', () => {
         cleanupReadMessages();
     });
+    // Expired link sessions hold claimed device slots, sweep them often
+    cron.schedule('*/15 * * * *', () => {
+        cleanupLinkSessions(io);
+    });
+    // Run daily at 04:00
+    cron.schedule('0 4 * * *', () => {
+        expireInactiveDevices(io);
+        checkPreKeyRotation(io);
+    });
+    // Run daily at 03:00
+    cron.schedule('0 3 * * *', () => {
+        cleanupExpiredEnvelopes();
+        cleanupUserTokens();
+        cleanupWebAuthnChallenges();
+        cleanupRecoveryCodes();
+        cleanupSystemNotices();
+    });
     console.log('Cron jobs initialized: Message Cleanup scheduled (Runs every 48 hours).');
+    console.log('Cron jobs initialized: Device Link Session Cleanup scheduled (Runs every 15 minutes).');
+    console.log('Cron jobs initialized: Device Inactivity and Prekey Rotation Sweeps scheduled (Runs daily).');
+    console.log('Cron jobs initialized: Envelope, User Token, WebAuthn Challenge, Recovery Code and System Notice Cleanup scheduled (Runs daily).');
 }
 
 module.exports = {
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../db/prismaClient');
+const { assertDeviceSlotAvailable, createDevice, removeDevice } = require('./deviceService');
+const { recordSecurityEvent } = require('./securityEventService');
+
+// Linking a new device to an account:
+//   1. the new device opens a session and shows a short code / QR payload
+//   2. the primary device approves it over the socket with that code and the
+//      provisioning payload encrypted to the new device's ephemeral key
+//   3. only then the Device row exists; the new device completes the link to get
+//      its tokens and the payload
+// Sessions expire after LINK_TTL_SEC and every step is single-use.
+
+const LINK_TTL_SEC = Number(process.env.DEVICE_LINK_TTL || 10 * 60);
+const LINK_URI_SCHEME = process.env.DEVICE_LINK_URI_SCHEME || 'vaultrelay';
+const CODE_SECRET = process.env.DEVICE_LINK_SECRET || process.env.JWT_ACCESS_SECRET;
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford base32, no I/L/O/U
+const CODE_LENGTH = 8;
+
+function LinkError(message, status = 400) {
+  const err = new Error(message);
+  err.name = 'LinkError';
+  err.status = status;
+  return err;
+}
+
+function generateCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+// Accepts the code as typed: any case, with or without the dash, O/I/L misread as digits
+function normalizeCode(code) {
+  return String(code || '')
+    .toUpperCase()
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1')
+    .replace(/[^0-9A-Z]/g, '');
+}
+
+function hashCode(code) {
+  return crypto.createHmac('sha256', CODE_SECRET).update(normalizeCode(code)).digest('hex');
+}
+
+function toPublicSession(s) {
+  return {
+    id: s.id,
+    status: s.status,
+    deviceName: s.deviceName,
+    deviceId: s.deviceId,
+    expiresAt: s.expiresAt,
+    createdAt: s.createdAt,
+  };
+}
+
+async function openLinkSession({ userId, deviceName, ephemeralPublicKey, platform = null, clientVersion = null, capabilities = {}, sid = null, ip = null, userAgent = null }) {
+  const devices = await prisma.device.findMany({ where: { userId }, select: { isPrimary: true } });
+  if (!devices.some(d => d.isPrimary)) {
+    throw LinkError('No primary device to approve the link, register this device directly', 409);
+  }
+  try {
+    await assertDeviceSlotAvailable(userId, devices.length);
+  } catch (err) {
+    if (err && err.name === 'DeviceError') throw LinkError(err.message, err.status);
+    throw err;
+  }
+
+  const code = generateCode();
+  const expiresAt = new Date(Date.now() + LINK_TTL_SEC * 1000);
+
+  // one open request per requesting session: a retry replaces the previous code
+  const session = await prisma.$transaction(async (tx) => {
+    if (sid) {
+      await tx.deviceLinkSession.deleteMany({ where: { userId, status: 'PENDING', requestedBySid: sid } });
+    }
+    return tx.deviceLinkSession.create({
+      data: {
+        userId,
+        codeHash: hashCode(code),
+        deviceName,
+        ephemeralPublicKey,
+        platform,
+        clientVersion,
+        capabilities,
+        requestedBySid: sid,
+        ip,
+        userAgent,
+        expiresAt,
+      },
+    });
+  });
+
+  const qrPayload = `${LINK_URI_SCHEME}://link?${new URLSearchParams({
+    id: session.id,
+    code: normalizeCode(code),
+    pk: ephemeralPublicKey,
+  }).toString()}`;
+
+  return { session: toPublicSession(session), code, qrPayload };
+}
+
+async function getLinkSession(userId, id) {
+  const session = await prisma.deviceLinkSession.findFirst({ where: { id, userId } });
+  return session ? toPublicSession(session) : null;
+}
+
+async function findPendingByCode(userId, code) {
+  const session = await prisma.deviceLinkSession.findUnique({ where: { codeHash: hashCode(code) } });
+  if (!session || session.userId !== userId || session.status !== 'PENDING' || session.expiresAt <= new Date()) {
+    throw LinkError('Invalid or expired link code', 404);
+  }
+  return session;
+}
+
+async function assertPrimary(userId, deviceId) {
+  if (!deviceId) throw LinkError('Only the primary device can approve new devices', 403);
+  const device = await prisma.device.findUnique({
+    where: { userId_deviceId: { userId, deviceId: Number(deviceId) } },
+  });
+  if (!device || !device.isPrimary) throw LinkError('Only the primary device can approve new devices', 403);
+}
+
+// What the primary shows before the user confirms: which device is asking, from where
+async function describeLinkRequest({ userId, approverDeviceId, code }) {
+  await assertPrimary(userId, approverDeviceId);
+  const session = await findPendingByCode(userId, code);
+  return {
+    ...toPublicSession(session),
+    ephemeralPublicKey: session.ephemeralPublicKey,
+    platform: session.platform,
+    clientVersion: session.clientVersion,
+    ip: session.ip,
+    userAgent: session.userAgent,
+  };
+}
+
+// Returns { session, device }. The Device row is created here, in the same transaction
+// that moves the session out of PENDING, so a code can only ever produce one device.
+async function approveLinkSession({ userId, approverDeviceId, code, ephemeralPublicKey, encryptedPayload }) {
+  await assertPrimary(userId, approverDeviceId);
+  const pending = await findPendingByCode(userId, code);
+
+  return prisma.$transaction(async (tx) => {
+    const claimed = await tx.deviceLinkSession.updateMany({
+      where: { id: pending.id, status: 'PENDING', expiresAt: { gt: new Date() } },
+      data: { status: 'APPROVED' },
+    });
+    if (claimed.count === 0) throw LinkError('Invalid or expired link code', 404);
+
+    let device;
+    try {
+      device = await createDevice({
+        userId,
+        deviceName: pending.deviceName,
+        isPrimary: false,
+        platform: pending.platform,
+        clientVersion: pending.clientVersion,
+        capabilities: pending.capabilities,
+      }, tx);
+    } catch (err) {
+      if (err && err.name === 'DeviceError') throw LinkError(err.message, err.status);
+      throw err;
+    }
+
+    const session = await tx.deviceLinkSession.update({
+      where: { id: pending.id },
+      data: {
+        approvedByDeviceId: Number(approverDeviceId),
+        deviceRowId: device.id,
+        deviceId: device.deviceId,
+        provisioning: {
+          senderDeviceId: Number(approverDeviceId),
+          ephemeralPublicKey,
+          encryptedPayload,
+        },
+      },
+    });
+
+    return { session: toPublicSession(session), device };
+  });
+}
+
+async function rejectLinkSession({ userId, approverDeviceId, code }) {
+  await assertPrimary(userId, approverDeviceId);
+  const pending = await findPendingByCode(userId, code);
+
+  const result = await prisma.deviceLinkSession.updateMany({
+    where: { id: pending.id, status: 'PENDING' },
+    data: { status: 'REJECTED', completedAt: new Date() },
+  });
+  if (result.count === 0) throw LinkError('Invalid or expired link code', 404);
+
+  return toPublicSession({ ...pending, status: 'REJECTED' });
+}
+
+// Called by the new device once approved. Returns { device, provisioning } exactly once.
+async function completeLinkSession({ userId, id, sid = null }) {
+  const session = await prisma.deviceLinkSession.findFirst({ where: { id, userId } });
+  if (!session) throw LinkError('Link session not found', 404);
+  if (session.requestedBySid && session.requestedBySid !== sid) {
+    throw LinkError('Link session belongs to another sign-in', 403);
+  }
+  if (session.status === 'PENDING') throw LinkError('Link session has not been approved yet', 409);
+  if (session.status !== 'APPROVED' || session.expiresAt <= new Date()) {
+    throw LinkError('Link session is no longer valid', 410);
+  }
+
+  const result = await prisma.deviceLinkSession.updateMany({
+    where: { id, status: 'APPROVED', expiresAt: { gt: new Date() } },
+    data: { status: 'COMPLETED', completedAt: new Date(), provisioning: Prisma.DbNull },
+  });
+  if (result.count === 0) throw LinkError('Link session is no longer valid', 410);
+
+  const device = await prisma.device.findUnique({ where: { id: session.deviceRowId } });
+  if (!device) throw LinkError('Linked device no longer exists', 410);
+
+  return { device, provisioning: session.provisioning };
+}
+
+// Expired sessions go away; an approved link that was never completed also loses its
+// Device row, since nobody holds credentials for it. Approval already announced that device,
+// so it is unlinked like any other: the caller tells sockets about the returned devices.
+async function pruneLinkSessions() {
+  const now = new Date();
+  const abandoned = await prisma.deviceLinkSession.findMany({
+    where: { status: 'APPROVED', expiresAt: { lt: now }, deviceRowId: { not: null } },
+    select: { deviceRowId: true },
+  });
+  // by row id: the device number may already belong to a newer device
+  const linked = abandoned.length > 0
+    ? await prisma.device.findMany({
+        where: { id: { in: abandoned.map(s => s.deviceRowId) } },
+        select: { userId: true, deviceId: true },
+      })
+    : [];
+
+  const removed = [];
+  for (const { userId, deviceId } of linked) {
+    const device = await removeDevice(userId, deviceId);
+    if (!device) continue;
+    removed.push(device);
+
+    await recordSecurityEvent({
+      userId: device.userId,
+      type: 'DEVICE_UNLINKED',
+      metadata: { unlinkedDeviceId: device.deviceId, deviceName: device.deviceName, reason: 'link_abandoned' },
+    });
+  }
+
+  const result = await prisma.deviceLinkSession.deleteMany({ where: { expiresAt: { lt: now } } });
+  return { count: result.count, removed };
+}
+
+module.exports = {
+  openLinkSession,
+  getLinkSession,
+  describeLinkRequest,
+  approveLinkSession,
+  rejectLinkSession,
+  completeLinkSession,
+  pruneLinkSessions,
+};
@@ -0,0 +1,254 @@
+const prisma = require('../db/prismaClient');
+const mailService = require('./mailService');
+const { recordSecurityEvent } = require('./securityEventService');
+const tokenDenylist = require('./tokenDenylistService');
+const KeyTransparency = require('./keyTransparencyService');
+
+// Device slots are numbered 1..limit per user; the lowest free number is reused.
+// The limit is MAX_DEVICES_PER_USER unless the user has a deviceLimit override, and
+// neither may exceed DEVICE_LIMIT_CEILING (which also bounds device ids in validators).
+const DEVICE_LIMIT_CEILING = Number(process.env.DEVICE_LIMIT_CEILING || 16);
+const DEFAULT_DEVICE_LIMIT = Math.min(Number(process.env.MAX_DEVICES_PER_USER || 5), DEVICE_LIMIT_CEILING);
+
+// lastSeenAt is written at most once per interval per device for REST traffic
+const TOUCH_INTERVAL_MS = 60 * 1000;
+// A device unused for DEVICE_INACTIVE_DAYS is flagged, and unlinked DEVICE_UNLINK_GRACE_DAYS later.
+// The primary device is never flagged or unlinked automatically.
+const INACTIVE_AFTER_DAYS = Number(process.env.DEVICE_INACTIVE_DAYS || 30);
+const UNLINK_GRACE_DAYS = Number(process.env.DEVICE_UNLINK_GRACE_DAYS || 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `${userId}:${deviceId}` -> ms of the last lastSeenAt write from this process
+const lastTouched = new Map();
+
+function DeviceError(message, status = 400) {
+  const err = new Error(message);
+  err.name = 'DeviceError';
+  err.status = status;
+  return err;
+}
+
+const MAX_CAPABILITY_FLAGS = 16;
+const CAPABILITY_NAME = /^[a-zA-Z][a-zA-Z0-9_]{0,31}$/;
+
+// Capabilities are a flat map of short flag names to booleans, e.g. { kyber: true }
+function isCapabilityMap(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const entries = Object.entries(value);
+  return entries.length <= MAX_CAPABILITY_FLAGS
+    && entries.every(([name, flag]) => CAPABILITY_NAME.test(name) && typeof flag === 'boolean');
+}
+
+// Picks the client-reported metadata out of a (validated) request body
+function deviceMetadataFrom(body = {}) {
+  const meta = {};
+  if (body.platform !== undefined) meta.platform = String(body.platform).trim().toLowerCase();
+  if (body.clientVersion !== undefined) meta.clientVersion = String(body.clientVersion).trim();
+  if (body.capabilities !== undefined) meta.capabilities = body.capabilities;
+  return meta;
+}
+
+async function updateDeviceMetadata(userId, deviceId, meta) {
+  const result = await prisma.device.updateMany({
+    where: { userId, deviceId: Number(deviceId) },
+    data: meta,
+  });
+  return result.count > 0;
+}
+
+async function getDeviceLimit(userId, db = prisma) {
+  const user = await db.user.findUnique({ where: { id: userId }, select: { deviceLimit: true } });
+  const limit = user && user.deviceLimit ? user.deviceLimit : DEFAULT_DEVICE_LIMIT;
+  return Math.max(1, Math.min(limit, DEVICE_LIMIT_CEILING));
+}
+
+// Throws DeviceError when the user has no free slot left
+async function assertDeviceSlotAvailable(userId, deviceCount, db = prisma) {
+  const limit = await getDeviceLimit(userId, db);
+  if (deviceCount >= limit) {
+    throw DeviceError(`Device limit reached (maximum ${limit} devices)`);
+  }
+  return limit;
+}
+
+// Creates the Device row in the lowest free slot. `db` may be a transaction client.
+async function createDevice({ userId, deviceName, isPrimary = null, platform = null, clientVersion = null, capabilities = {} }, db = prisma) {
+  const devices = await db.device.findMany({
+    where: { userId },
+    select: { deviceId: true, isPrimary: true },
+  });
+  await assertDeviceSlotAvailable(userId, devices.length, db);
+
+  // fewer devices than the limit, so the lowest free id is never above it
+  const existingIds = new Set(devices.map(d => d.deviceId));
+  let nextId = 1;
+  while (existingIds.has(nextId)) nextId++;
+
+  try {
+    return await db.device.create({
+      data: {
+        userId,
+        deviceId: nextId,
+        deviceName,
+        platform,
+        clientVersion,
+        capabilities,
+        // becomes primary when the account has none (first device, or the primary was unlinked)
+        isPrimary: isPrimary === null ? !devices.some(d => d.isPrimary) : isPrimary,
+      },
+    });
+  } catch (err) {
+    // a concurrent registration took the same slot, or the primary role (one per user,
+    // enforced by the partial unique index Device_userId_primary_key)
+    if (err && err.code === 'P2002') throw DeviceError('Device registration conflict, please retry', 409);
+    throw err;
+  }
+}
+
+// Record that the device is in use. `force` skips the throttle (socket connect/disconnect).
+// Best-effort: a failed write must never fail the request or handshake that triggered it.
+async function touchDevice(userId, deviceId, { force = false } = {}) {
+  if (!userId || !deviceId) return;
+
+  const key = `${userId}:${deviceId}`;
+  const now = Date.now();
+  if (!force && now - (lastTouched.get(key) || 0) < TOUCH_INTERVAL_MS) return;
+  lastTouched.set(key, now);
+
+  try {
+    await prisma.device.updateMany({
+      where: { userId, deviceId: Number(deviceId) },
+      data: { lastSeenAt: new Date(now), inactiveSince: null },
+    });
+  } catch (err) {
+    console.error('Failed to update device lastSeenAt', err);
+  }
+}
+
+// Deletes the device and everything that lets it act for the user: prekeys and queued
+// envelopes go with the row (cascade), refresh tokens are revoked and live access tokens
+// denylisted. The removal is written to the key transparency log. Callers disconnect its
+// sockets. Returns the deleted device or null.
+async function removeDevice(userId, deviceId) {
+  const device = await prisma.device.findUnique({
+    where: { userId_deviceId: { userId, deviceId: Number(deviceId) } },
+    include: { identityKey: true },
+  });
+  if (!device) return null;
+
+  await prisma.$transaction(async (tx) => {
+    await KeyTransparency.appendRemovals(tx, [device]);
+    await tx.device.delete({ where: { id: device.id } });
+    await tx.refreshToken.updateMany({
+      where: { userId, deviceId: String(device.deviceId) },
+      data: { revoked: true },
+    });
+  });
+  await tokenDenylist.revokeDevice(userId, device.deviceId);
+  lastTouched.delete(`${userId}:${device.deviceId}`);
+
+  return device;
+}
+
+// Flags devices that haven't been seen for INACTIVE_AFTER_DAYS. Returns how many were flagged.
+async function flagInactiveDevices() {
+  const cutoff = new Date(Date.now() - INACTIVE_AFTER_DAYS * DAY_MS);
+  const stale = await prisma.device.findMany({
+    where: { inactiveSince: null, isPrimary: false, lastSeenAt: { lt: cutoff } },
+    select: { id: true, userId: true, deviceId: true, deviceName: true, lastSeenAt: true },
+  });
+
+  for (const device of stale) {
+    const result = await prisma.device.updateMany({
+      where: { id: device.id, inactiveSince: null, isPrimary: false },
+      data: { inactiveSince: new Date() },
+    });
+    if (result.count === 0) continue;
+
+    await recordSecurityEvent({
+      userId: device.userId,
+      type: 'DEVICE_INACTIVE',
+      metadata: {
+        inactiveDeviceId: device.deviceId,
+        deviceName: device.deviceName,
+        lastSeenAt: device.lastSeenAt,
+        unlinkAfterDays: UNLINK_GRACE_DAYS,
+      },
+    });
+  }
+  return stale.length;
+}
+
+// Unlinks devices that stayed flagged for UNLINK_GRACE_DAYS. Returns the removed devices.
+async function unlinkInactiveDevices() {
+  const cutoff = new Date(Date.now() - UNLINK_GRACE_DAYS * DAY_MS);
+  const expired = await prisma.device.findMany({
+    where: { inactiveSince: { lt: cutoff }, isPrimary: false },
+    select: { userId: true, deviceId: true },
+  });
+
+  const removed = [];
+  for (const { userId, deviceId } of expired) {
+    const device = await removeDevice(userId, deviceId);
+    if (!device) continue;
+    removed.push(device);
+
+    await recordSecurityEvent({
+      userId,
+      type: 'DEVICE_UNLINKED',
+      metadata: { unlinkedDeviceId: device.deviceId, deviceName: device.deviceName, reason: 'inactive' },
+    });
+  }
+  return removed;
+}
+
+async function findPrimaryDevice(userId, db = prisma) {
+  return db.device.findFirst({ where: { userId, isPrimary: true } });
+}
+
+// Security log entry plus an email alert for a device that just joined the account.
+// `actorDeviceId` is the device that made it happen (the approving primary, or the new device itself).
+async function announceNewDevice({ userId, device, actorDeviceId = null, ip = null, userAgent = null, metadata = {} }) {
+  await recordSecurityEvent({
+    userId,
+    type: 'DEVICE_LINKED',
+    deviceId: actorDeviceId ?? device.deviceId,
+    ip,
+    userAgent,
+    metadata: { linkedDeviceId: device.deviceId, deviceName: device.deviceName, isPrimary: device.isPrimary, ...metadata },
+  });
+
+  // an account's very first device is just the owner signing up, nothing to alert about
+  const deviceCount = await prisma.device.count({ where: { userId } });
+  if (deviceCount <= 1) return;
+
+  try {
+    const owner = await prisma.user.findUnique({ where: { id: userId }, select: { email: true } });
+    await mailService.sendTemplate(owner.email, 'newDeviceAlert', {
+      deviceName: device.deviceName,
+      deviceId: device.deviceId,
+      ip,
+      userAgent,
+      when: device.createdAt,
+    });
+  } catch (mailErr) {
+    console.error('Failed to send new device alert', mailErr);
+  }
+}
+
+module.exports = {
+  DEVICE_LIMIT_CEILING,
+  DeviceError,
+  isCapabilityMap,
+  deviceMetadataFrom,
+  updateDeviceMetadata,
+  getDeviceLimit,
+  assertDeviceSlotAvailable,
+  createDevice,
+  findPrimaryDevice,
+  announceNewDevice,
+  touchDevice,
+  removeDevice,
+  flagInactiveDevices,
+  unlinkInactiveDevices,
+};
@@ -1,6 +1,104 @@
 const prisma = require('../db/prismaClient');
+const MailboxService = require('./mailboxService');
+const KeyTransparency = require('./keyTransparencyService');
+const { validateKeyUpload } = require('../utils/signalValidation');
+
+// A device whose one-time prekey pool drops below the watermark after a bundle fetch
+// is asked to upload more ('keys.replenish'), at most once per interval per device.
+const PREKEY_LOW_WATERMARK = Number(process.env.PREKEY_LOW_WATERMARK || 10);
+const REPLENISH_NOTICE_INTERVAL_MS = 60 * 1000;
+
+// device row id -> ms of the last replenish notice from this process
+const lastReplenishNotice = new Map();
+
+// Signed/Kyber prekey rotation: a key older than SIGNED_PREKEY_MAX_AGE_DAYS is due and the
+// device is reminded ('keys.rotate'); past SIGNED_PREKEY_EXCLUDE_AFTER_DAYS (0 = never) the
+// device is left out of bundles. A replaced key is kept for PREVIOUS_PREKEY_GRACE_DAYS.
+const SIGNED_PREKEY_MAX_AGE_DAYS = Number(process.env.SIGNED_PREKEY_MAX_AGE_DAYS || 30);
+const SIGNED_PREKEY_EXCLUDE_AFTER_DAYS = Number(process.env.SIGNED_PREKEY_EXCLUDE_AFTER_DAYS || 0);
+const PREVIOUS_PREKEY_GRACE_DAYS = Number(process.env.PREVIOUS_PREKEY_GRACE_DAYS || 7);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function olderThanDays(date, days) {
+  return !!date && date.getTime() < Date.now() - days * DAY_MS;
+}
+
+function isExcludedAsStale(dev) {
+  return SIGNED_PREKEY_EXCLUDE_AFTER_DAYS > 0 && olderThanDays(dev.signedPreKey.rotatedAt, SIGNED_PREKEY_EXCLUDE_AFTER_DAYS);
+}
+
+// Stores a signed or Kyber prekey (`model` is tx.signedPreKey or tx.kyberPreKey). A new
+// key becomes current and the one it replaces moves to previous*; re-uploading the
+// current key only refreshes its signature.
+async function storeRotatingKey(model, deviceDbId, { keyId, publicKey, signature }) {
+  const current = await model.findUnique({ where: { deviceId: deviceDbId } });
+  if (!current) {
+    return model.create({ data: { deviceId: deviceDbId, keyId, publicKey, signature } });
+  }
+  if (current.keyId === keyId && current.publicKey === publicKey) {
+    if (current.signature === signature) return current;
+    return model.update({ where: { deviceId: deviceDbId }, data: { signature } });
+  }
+
+  const now = new Date();
+  return model.update({
+    where: { deviceId: deviceDbId },
+    data: {
+      keyId,
+      publicKey,
+      signature,
+      rotatedAt: now,
+      previousKeyId: current.keyId,
+      previousPublicKey: current.publicKey,
+      previousSignature: current.signature,
+      previousRetiredAt: now,
+    },
+  });
+}
+
+const CLEARED_PREVIOUS_KEY = { previousKeyId: null, previousPublicKey: null, previousSignature: null, previousRetiredAt: null };
+
+// Adds one-time keys (`model` is tx.oneTimePreKey or tx.oneTimeKyberPreKey); keyIds the
+// device already has are skipped
+async function addOneTimeKeys(model, deviceDbId, keys, toRow) {
+  const existing = await model.findMany({
+    where: {
+      deviceId: deviceDbId,
+      keyId: { in: keys.map(k => k.keyId) }
+    },
+    select: { keyId: true }
+  });
+
+  const existingIds = new Set(existing.map(e => e.keyId));
+  const newKeys = keys.filter(k => !existingIds.has(k.keyId));
+
+  if (newKeys.length > 0) {
+    await model.createMany({
+      data: newKeys.map(k => ({ deviceId: deviceDbId, ...toRow(k) }))
+    });
+  }
+}
+
+// Takes the lowest-keyId one-time key of a device out of the pool. Conditional delete, so
+// concurrent bundle fetches never hand out the same key; the loser moves on to the next.
+async function claimOneTimeKey(model, deviceDbId) {
+  for (;;) {
+    const candidate = await model.findFirst({
+      where: { deviceId: deviceDbId },
+      orderBy: { keyId: 'asc' }
+    });
+    if (!candidate) return null;
+
+    const { count } = await model.deleteMany({ where: { id: candidate.id } });
+    if (count === 1) return candidate;
+  }
+}
+
+// Returns { identityChanged }: true when the device replaced an existing identity key.
+// Throws KeyUploadError (400) when a key is malformed or a prekey signature doesn't verify.
+async function uploadKeys(userId, deviceId, keys) {
+  const { registrationId, identityKey, signedPreKey, kyberPreKey, oneTimePreKeys, oneTimeKyberPreKeys } = keys;
 
-async function uploadKeys(userId, deviceId, { registrationId, identityKey, signedPreKey, kyberPreKey, oneTimePreKeys }) {
   return prisma.$transaction(async (tx) => {
     const device = await tx.device.findUnique({
       where: { userId_deviceId: { userId, deviceId: parseInt(deviceId) } }
@@ -11,10 +109,12 @@ async function uploadKeys(userId, deviceId, { registrationId, identityKey, signe
     }
 
     const deviceDbId = device.id;
+    let identityChanged = false;
+
+    const existingIdentity = await tx.identityKey.findUnique({ where: { deviceId: deviceDbId } });
+    validateKeyUpload(keys, { storedIdentityKey: existingIdentity ? existingIdentity.publicKey : null });
 
     if (identityKey) {
-      const existingIdentity = await tx.identityKey.findUnique({ where: { deviceId: deviceDbId } });
-      
       await tx.identityKey.upsert({
         where: { deviceId: deviceDbId },
         update: { publicKey: identityKey, registrationId },
@@ -24,70 +124,80 @@ async function uploadKeys(userId, deviceId, { registrationId, identityKey, signe
       // Clear obsolete OTKs if identity changed
       if (existingIdentity && (existingIdentity.publicKey !== identityKey || existingIdentity.registrationId !== registrationId)) {
         await tx.oneTimePreKey.deleteMany({ where: { deviceId: deviceDbId } });
+        await tx.oneTimeKyberPreKey.deleteMany({ where: { deviceId: deviceDbId } });
+      }
+      identityChanged = !!existingIdentity && existingIdentity.publicKey !== identityKey;
+
+      if (!existingIdentity || identityChanged) {
+        await KeyTransparency.appendEntry(tx, {
+          userId,
+          deviceId: device.deviceId,
+          action: existingIdentity ? 'IDENTITY_REPLACED' : 'IDENTITY_ADDED',
+          identityKey,
+        });
       }
     }
 
     if (signedPreKey) {
-      await tx.signedPreKey.upsert({
-        where: { deviceId: deviceDbId },
-        update: {
-          keyId: signedPreKey.keyId,
-          publicKey: signedPreKey.publicKey,
-          signature: signedPreKey.signature
-        },
-        create: {
-          deviceId: deviceDbId,
-          keyId: signedPreKey.keyId,
-          publicKey: signedPreKey.publicKey,
-          signature: signedPreKey.signature
-        }
-      });
+      await storeRotatingKey(tx.signedPreKey, deviceDbId, signedPreKey);
     }
 
     if (kyberPreKey) {
-      await tx.kyberPreKey.upsert({
-        where: { deviceId: deviceDbId },
-        update: {
-          keyId: kyberPreKey.keyId,
-          publicKey: kyberPreKey.publicKey,
-          signature: kyberPreKey.signature
-        },
-        create: {
-          deviceId: deviceDbId,
-          keyId: kyberPreKey.keyId,
-          publicKey: kyberPreKey.publicKey,
-          signature: kyberPreKey.signature
-        }
-      });
+      await storeRotatingKey(tx.kyberPreKey, deviceDbId, kyberPreKey);
     }
 
-    if (oneTimePreKeys && oneTimePreKeys.length > 0) {
-      const existing = await tx.oneTimePreKey.findMany({
-        where: {
-          deviceId: deviceDbId,
-          keyId: { in: oneTimePreKeys.map(k => k.keyId) }
-        },
-        select: { keyId: true }
-      });
+    if (identityChanged) {
+      // the previous keys were signed by the old identity
+      await tx.signedPreKey.updateMany({ where: { deviceId: deviceDbId }, data: CLEARED_PREVIOUS_KEY });
+      await tx.kyberPreKey.updateMany({ where: { deviceId: deviceDbId }, data: CLEARED_PREVIOUS_KEY });
+    }
 
-      const existingIds = new Set(existing.map(e => e.keyId));
-      const newKeys = oneTimePreKeys.filter(k => !existingIds.has(k.keyId));
+    if (signedPreKey || kyberPreKey) {
+      // a queued rotation reminder is answered by this upload
+      await tx.deviceEnvelope.deleteMany({ where: { deviceId: deviceDbId, event: 'keys.rotate' } });
+    }
 
-      if (newKeys.length > 0) {
-        await tx.oneTimePreKey.createMany({
-          data: newKeys.map(k => ({
-            deviceId: deviceDbId,
-            keyId: k.keyId,
-            publicKey: k.publicKey
-          }))
-        });
-      }
+    const hasOneTimeKeys = oneTimePreKeys && oneTimePreKeys.length > 0;
+    const hasOneTimeKyberKeys = oneTimeKyberPreKeys && oneTimeKyberPreKeys.length > 0;
+
+    if (hasOneTimeKeys) {
+      await addOneTimeKeys(tx.oneTimePreKey, deviceDbId, oneTimePreKeys, k => ({
+        keyId: k.keyId,
+        publicKey: k.publicKey
+      }));
+    }
+
+    if (hasOneTimeKyberKeys) {
+      await addOneTimeKeys(tx.oneTimeKyberPreKey, deviceDbId, oneTimeKyberPreKeys, k => ({
+        keyId: k.keyId,
+        publicKey: k.publicKey,
+        signature: k.signature
+      }));
+    }
+
+    if (hasOneTimeKeys || hasOneTimeKyberKeys) {
+      // a queued replenish request is answered by this upload
+      await tx.deviceEnvelope.deleteMany({ where: { deviceId: deviceDbId, event: 'keys.replenish' } });
+      lastReplenishNotice.delete(deviceDbId);
     }
+
+    return { identityChanged };
   });
 }
 
-async function getPreKeyBundle(targetUserId) {
-  return prisma.$transaction(async (tx) => {
+function kyberBundleKey(dev, oneTimeKyberPreKey) {
+  const key = oneTimeKyberPreKey || dev.kyberPreKey;
+  return {
+    keyId: key.keyId,
+    publicKey: key.publicKey,
+    signature: key.signature,
+    lastResort: !oneTimeKyberPreKey
+  };
+}
+
+async function getPreKeyBundle(targetUserId, { io } = {}) {
+  const served = [];
+  const bundles = await prisma.$transaction(async (tx) => {
     const devices = await tx.device.findMany({
       where: { userId: targetUserId },
       include: {
@@ -100,35 +210,28 @@ async function getPreKeyBundle(targetUserId) {
     const bundles = [];
 
     for (const dev of devices) {
-      if (!dev.identityKey || !dev.signedPreKey || !dev.kyberPreKey) {
+      if (!dev.identityKey || !dev.signedPreKey || !dev.kyberPreKey || isExcludedAsStale(dev)) {
         continue;
       }
 
-      // Consume one OTK per device
-      const oneTimePreKey = await tx.oneTimePreKey.findFirst({
-        where: { deviceId: dev.id },
-        orderBy: { keyId: 'asc' }
-      });
-
-      if (oneTimePreKey) {
-        await tx.oneTimePreKey.delete({ where: { id: oneTimePreKey.id } });
-      }
+      // Consume one OTK and one one-time Kyber key per device; without the latter the
+      // last-resort Kyber key is served
+      const oneTimePreKey = await claimOneTimeKey(tx.oneTimePreKey, dev.id);
+      const oneTimeKyberPreKey = await claimOneTimeKey(tx.oneTimeKyberPreKey, dev.id);
+      served.push({ ...dev, usesKyberPool: !!oneTimeKyberPreKey });
 
       bundles.push({
         userId: targetUserId,
         deviceId: dev.deviceId,
         registrationId: dev.identityKey.registrationId,
+        capabilities: dev.capabilities || {},
         identityKey: dev.identityKey.publicKey,
         signedPreKey: {
           keyId: dev.signedPreKey.keyId,
           publicKey: dev.signedPreKey.publicKey,
           signature: dev.signedPreKey.signature
         },
-        kyberPreKey: {
-          keyId: dev.kyberPreKey.keyId,
-          publicKey: dev.kyberPreKey.publicKey,
-          signature: dev.kyberPreKey.signature
-        },
+        kyberPreKey: kyberBundleKey(dev, oneTimeKyberPreKey),
         oneTimePreKey: oneTimePreKey ? {
           keyId: oneTimePreKey.keyId,
           publicKey: oneTimePreKey.publicKey
@@ -138,10 +241,14 @@ async function getPreKeyBundle(targetUserId) {
 
     return bundles;
   });
+
+  checkPreKeyWatermark(io, served);
+  return bundles;
 }
 
-async function getPreKeyBundles(targetUserIds) {
-  return prisma.$transaction(async (tx) => {
+async function getPreKeyBundles(targetUserIds, { io } = {}) {
+  const served = [];
+  const bundles = await prisma.$transaction(async (tx) => {
     const devices = await tx.device.findMany({
       where: { userId: { in: targetUserIds } },
       include: {
@@ -154,34 +261,26 @@ async function getPreKeyBundles(targetUserIds) {
     const bundles = [];
 
     for (const dev of devices) {
-      if (!dev.identityKey || !dev.signedPreKey || !dev.kyberPreKey) {
+      if (!dev.identityKey || !dev.signedPreKey || !dev.kyberPreKey || isExcludedAsStale(dev)) {
         continue;
       }
 
-      const oneTimePreKey = await tx.oneTimePreKey.findFirst({
-        where: { deviceId: dev.id },
-        orderBy: { keyId: 'asc' }
-      });
-
-      if (oneTimePreKey) {
-        await tx.oneTimePreKey.delete({ where: { id: oneTimePreKey.id } });
-      }
+      const oneTimePreKey = await claimOneTimeKey(tx.oneTimePreKey, dev.id);
+      const oneTimeKyberPreKey = await claimOneTimeKey(tx.oneTimeKyberPreKey, dev.id);
+      served.push({ ...dev, usesKyberPool: !!oneTimeKyberPreKey });
 
       bundles.push({
         userId: dev.userId,
         deviceId: dev.deviceId,
         registrationId: dev.identityKey.registrationId,
+        capabilities: dev.capabilities || {},
         identityKey: dev.identityKey.publicKey,
         signedPreKey: {
           keyId: dev.signedPreKey.keyId,
           publicKey: dev.signedPreKey.publicKey,
           signature: dev.signedPreKey.signature
         },
-        kyberPreKey: {
-          keyId: dev.kyberPreKey.keyId,
-          publicKey: dev.kyberPreKey.publicKey,
-          signature: dev.kyberPreKey.signature
-        },
+        kyberPreKey: kyberBundleKey(dev, oneTimeKyberPreKey),
         oneTimePreKey: oneTimePreKey ? {
           keyId: oneTimePreKey.keyId,
           publicKey: oneTimePreKey.publicKey
@@ -191,28 +290,144 @@ async function getPreKeyBundles(targetUserIds) {
 
     return bundles;
   });
+
+  checkPreKeyWatermark(io, served);
+  return bundles;
+}
+
+async function countByDevice(model, deviceDbIds) {
+  const counts = await model.groupBy({
+    by: ['deviceId'],
+    where: { deviceId: { in: deviceDbIds } },
+    _count: { _all: true },
+  });
+  return new Map(counts.map(c => [c.deviceId, c._count._all]));
+}
+
+// Runs after a bundle fetch and never fails it: devices left below the watermark get
+// 'keys.replenish' on their device room, or on next connect when offline. The Kyber pool
+// only counts for devices that use it (were just served a one-time Kyber key).
+async function checkPreKeyWatermark(io, devices) {
+  if (devices.length === 0) return;
+  try {
+    const ids = devices.map(d => d.id);
+    const remainingById = await countByDevice(prisma.oneTimePreKey, ids);
+    const remainingKyberById = await countByDevice(prisma.oneTimeKyberPreKey, ids);
+
+    for (const dev of devices) {
+      const remaining = remainingById.get(dev.id) || 0;
+      const remainingKyber = remainingKyberById.get(dev.id) || 0;
+      const kyberLow = dev.usesKyberPool && remainingKyber < PREKEY_LOW_WATERMARK;
+      if (remaining >= PREKEY_LOW_WATERMARK && !kyberLow) continue;
+
+      const now = Date.now();
+      if (now - (lastReplenishNotice.get(dev.id) || 0) < REPLENISH_NOTICE_INTERVAL_MS) continue;
+      lastReplenishNotice.set(dev.id, now);
+
+      await MailboxService.emitOrQueue(io, {
+        userId: dev.userId,
+        deviceId: dev.deviceId,
+        event: 'keys.replenish',
+        payload: { deviceId: dev.deviceId, remaining, remainingKyber, watermark: PREKEY_LOW_WATERMARK },
+      });
+    }
+  } catch (err) {
+    console.error('Failed to check prekey watermark', err);
+  }
 }
 
 async function getPreKeyCount(userId, deviceId) {
   const device = await prisma.device.findUnique({
     where: { userId_deviceId: { userId, deviceId: parseInt(deviceId) } },
     include: {
-      identityKey: true
+      identityKey: true,
+      signedPreKey: { select: { rotatedAt: true } },
+      kyberPreKey: { select: { rotatedAt: true } }
     }
   });
 
   if (!device) {
-    return { count: 0, registrationId: null };
+    return { count: 0, kyberCount: 0, registrationId: null };
   }
 
+  const signedPreKeyRotatedAt = device.signedPreKey?.rotatedAt || null;
+  const kyberPreKeyRotatedAt = device.kyberPreKey?.rotatedAt || null;
+
   const count = await prisma.oneTimePreKey.count({
     where: { deviceId: device.id }
   });
+  const kyberCount = await prisma.oneTimeKyberPreKey.count({
+    where: { deviceId: device.id }
+  });
 
   return {
     count,
-    registrationId: device.identityKey?.registrationId || null
+    kyberCount,
+    hasLastResortKyberPreKey: !!device.kyberPreKey,
+    watermark: PREKEY_LOW_WATERMARK,
+    registrationId: device.identityKey?.registrationId || null,
+    signedPreKeyRotatedAt,
+    kyberPreKeyRotatedAt,
+    rotationDue: olderThanDays(signedPreKeyRotatedAt, SIGNED_PREKEY_MAX_AGE_DAYS)
+      || olderThanDays(kyberPreKeyRotatedAt, SIGNED_PREKEY_MAX_AGE_DAYS)
   };
 }
 
-module.exports = { uploadKeys, getPreKeyBundle, getPreKeyBundles, getPreKeyCount };
\ No newline at end of file
+// Reminds every device with a signed or Kyber prekey past SIGNED_PREKEY_MAX_AGE_DAYS to
+// rotate it ('keys.rotate', queued for offline devices). Returns how many were reminded.
+async function remindStalePreKeys(io) {
+  const cutoff = new Date(Date.now() - SIGNED_PREKEY_MAX_AGE_DAYS * DAY_MS);
+  const stale = await prisma.device.findMany({
+    where: {
+      OR: [
+        { signedPreKey: { rotatedAt: { lt: cutoff } } },
+        { kyberPreKey: { rotatedAt: { lt: cutoff } } }
+      ]
+    },
+    select: {
+      userId: true,
+      deviceId: true,
+      signedPreKey: { select: { rotatedAt: true } },
+      kyberPreKey: { select: { rotatedAt: true } }
+    }
+  });
+
+  for (const dev of stale) {
+    const keys = [];
+    if (dev.signedPreKey && dev.signedPreKey.rotatedAt < cutoff) keys.push('signedPreKey');
+    if (dev.kyberPreKey && dev.kyberPreKey.rotatedAt < cutoff) keys.push('kyberPreKey');
+
+    await MailboxService.emitOrQueue(io, {
+      userId: dev.userId,
+      deviceId: dev.deviceId,
+      event: 'keys.rotate',
+      payload: {
+        deviceId: dev.deviceId,
+        keys,
+        maxAgeDays: SIGNED_PREKEY_MAX_AGE_DAYS,
+        signedPreKeyRotatedAt: dev.signedPreKey?.rotatedAt || null,
+        kyberPreKeyRotatedAt: dev.kyberPreKey?.rotatedAt || null
+      }
+    });
+  }
+  return stale.length;
+}
+
+// Drops replaced keys once their grace period is over. Returns how many were dropped.
+async function prunePreviousPreKeys() {
+  const where = { previousRetiredAt: { lt: new Date(Date.now() - PREVIOUS_PREKEY_GRACE_DAYS * DAY_MS) } };
+  const [signed, kyber] = await prisma.$transaction([
+    prisma.signedPreKey.updateMany({ where, data: CLEARED_PREVIOUS_KEY }),
+    prisma.kyberPreKey.updateMany({ where, data: CLEARED_PREVIOUS_KEY })
+  ]);
+  return signed.count + kyber.count;
+}
+
+module.exports = {
+  uploadKeys,
+  getPreKeyBundle,
+  getPreKeyBundles,
+  getPreKeyCount,
+  remindStalePreKeys,
+  prunePreviousPreKeys
+};
\ No newline at end of file
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const prisma = require('../db/prismaClient');
+
+// Append-only key transparency log. Every identity key a device publishes, replaces or
+// loses (device removal) becomes a leaf of a Merkle tree built as in RFC 6962:
+//   leafHash = SHA-256(0x00 || leafData), node = SHA-256(0x01 || left || right)
+// Each leaf also carries the previous leaf's hash, so the entries form a hash chain too.
+// Tree heads are signed with Ed25519; clients pin the public key and use the inclusion and
+// consistency proofs to check that everyone is shown the same history of keys.
+
+const SIGNATURE_ALGORITHM = 'Ed25519';
+const EMPTY_PREV_HASH = '0'.repeat(64);
+// pg_advisory_xact_lock id serializing appends, so leaf indexes have no gaps
+const APPEND_LOCK_ID = 7204221;
+
+function TransparencyError(message, status = 400) {
+  const err = new Error(message);
+  err.name = 'TransparencyError';
+  err.status = status;
+  return err;
+}
+
+// KEY_TRANSPARENCY_SIGNING_KEY is an Ed25519 private key in PKCS#8 PEM. Without it a key is
+// generated per process, which is fine for development but makes every restart (and every
+// instance) look like a different log to clients, so production refuses to start.
+function loadSigningKey() {
+  if (process.env.KEY_TRANSPARENCY_SIGNING_KEY) {
+    return crypto.createPrivateKey(process.env.KEY_TRANSPARENCY_SIGNING_KEY.replace(/\\n/g, '\n'));
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Missing KEY_TRANSPARENCY_SIGNING_KEY env variable (required in production)');
+  }
+  console.warn('KEY_TRANSPARENCY_SIGNING_KEY is not set, signing tree heads with a temporary key');
+  return crypto.generateKeyPairSync('ed25519').privateKey;
+}
+
+const signingKey = loadSigningKey();
+const publicKeyBase64 = crypto.createPublicKey(signingKey).export({ type: 'spki', format: 'der' }).toString('base64');
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const p of parts) hash.update(p);
+  return hash.digest();
+}
+
+// Fixed field order: this string is what clients re-hash to check a leaf
+function leafData(entry) {
+  return JSON.stringify({
+    index: entry.index,
+    userId: entry.userId,
+    deviceId: entry.deviceId,
+    action: entry.action,
+    identityKey: entry.identityKey,
+    prevHash: entry.prevHash,
+    createdAt: entry.createdAt.toISOString(),
+  });
+}
+
+function hashLeaf(entry) {
+  return sha256(Buffer.from([0x00]), Buffer.from(leafData(entry))).toString('hex');
+}
+
+function hashChildren(left, right) {
+  return sha256(Buffer.from([0x01]), left, right);
+}
+
+function toPublicEntry(e) {
+  return {
+    index: e.index,
+    userId: e.userId,
+    deviceId: e.deviceId,
+    action: e.action,
+    identityKey: e.identityKey,
+    prevHash: e.prevHash,
+    leafHash: e.leafHash,
+    createdAt: e.createdAt,
+  };
+}
+
+// Appends one entry. `tx` must be the interactive transaction that writes (or deletes) the
+// key, so the log and the key tables never disagree.
+async function appendEntry(tx, { userId, deviceId, action, identityKey = null }) {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(${APPEND_LOCK_ID})`;
+
+  const last = await tx.keyTransparencyEntry.findFirst({ orderBy: { index: 'desc' } });
+  const entry = {
+    index: last ? last.index + 1 : 0,
+    userId,
+    deviceId: Number(deviceId),
+    action,
+    identityKey,
+    prevHash: last ? last.leafHash : EMPTY_PREV_HASH,
+    createdAt: new Date(),
+  };
+  entry.leafHash = hashLeaf(entry);
+
+  return tx.keyTransparencyEntry.create({ data: entry });
+}
+
+// Logs the removal of each device that had published an identity key.
+// `devices` are Device rows with their identityKey included.
+async function appendRemovals(tx, devices) {
+  for (const device of devices) {
+    if (!device.identityKey) continue;
+    await appendEntry(tx, { userId: device.userId, deviceId: device.deviceId, action: 'DEVICE_REMOVED' });
+  }
+}
+
+// Leaves never change once written, and neither does the hash of any complete subtree, so
+// this process keeps them as it reads them: levels[h][i] is the hash of the 2^h leaves
+// starting at i * 2^h (levels[0] are the leaves). Any MTH or proof then only hashes the
+// O(log n) incomplete nodes on the right edge of the tree.
+const levels = [[]];
+
+function leafCount() {
+  return levels[0].length;
+}
+
+function appendLeaf(leafHash) {
+  levels[0].push(leafHash);
+  let i = levels[0].length - 1;
+  for (let h = 0; i % 2 === 1; h++) {
+    if (!levels[h + 1]) levels[h + 1] = [];
+    levels[h + 1].push(hashChildren(levels[h][i - 1], levels[h][i]));
+    i = (i - 1) / 2;
+  }
+}
+
+// Entries are appended under APPEND_LOCK_ID, so the highest index is the size
+async function getTreeSize() {
+  const last = await prisma.keyTransparencyEntry.findFirst({
+    orderBy: { index: 'desc' },
+    select: { index: true },
+  });
+  return last ? last.index + 1 : 0;
+}
+
+// One refill at a time: concurrent requests wait for the running one instead of reading
+// (and appending) the same rows twice
+let refill = null;
+
+async function fetchLeaves(treeSize) {
+  const rows = await prisma.keyTransparencyEntry.findMany({
+    where: { index: { gte: leafCount(), lt: treeSize } },
+    orderBy: { index: 'asc' },
+    select: { index: true, leafHash: true },
+  });
+  for (const row of rows) {
+    if (row.index < leafCount()) continue;
+    if (row.index !== leafCount()) throw new Error(`Key transparency log has a gap at ${leafCount()}`);
+    appendLeaf(Buffer.from(row.leafHash, 'hex'));
+  }
+  if (leafCount() < treeSize) throw new Error(`Key transparency log has a gap at ${leafCount()}`);
+}
+
+async function loadLeaves(treeSize) {
+  while (leafCount() < treeSize) {
+    if (!refill) refill = fetchLeaves(treeSize).finally(() => { refill = null; });
+    await refill;
+  }
+}
+
+function largestPowerOfTwoBelow(n) {
+  let k = 1;
+  while (k * 2 < n) k *= 2;
+  return k;
+}
+
+// MTH(D[lo:hi]) from RFC 6962 section 2.1
+function subtreeHash(lo, hi) {
+  const n = hi - lo;
+  if (n === 0) return sha256(Buffer.alloc(0));
+  // complete subtrees in this decomposition are always aligned to their size
+  if ((n & (n - 1)) === 0) return levels[Math.log2(n)][lo / n];
+  const k = largestPowerOfTwoBelow(n);
+  return hashChildren(subtreeHash(lo, lo + k), subtreeHash(lo + k, hi));
+}
+
+// PATH(m, D[lo:hi]), section 2.1.1
+function auditPath(m, lo, hi) {
+  const n = hi - lo;
+  if (n <= 1) return [];
+  const k = largestPowerOfTwoBelow(n);
+  if (m < k) return [...auditPath(m, lo, lo + k), subtreeHash(lo + k, hi)];
+  return [...auditPath(m - k, lo + k, hi), subtreeHash(lo, lo + k)];
+}
+
+// SUBPROOF(m, D[lo:hi], b), section 2.1.2
+function subproof(m, lo, hi, complete) {
+  const n = hi - lo;
+  if (m === n) return complete ? [] : [subtreeHash(lo, hi)];
+  const k = largestPowerOfTwoBelow(n);
+  if (m <= k) return [...subproof(m, lo, lo + k, complete), subtreeHash(lo + k, hi)];
+  return [...subproof(m - k, lo + k, hi, false), subtreeHash(lo, lo + k)];
+}
+
+function signHead(head) {
+  const message = Buffer.from(JSON.stringify(head));
+  return crypto.sign(null, message, signingKey).toString('base64');
+}
+
+// A head is signed once per tree size; the timestamp is when that size was first seen
+let latestHead = null;
+
+// Signed tree head. The signature covers JSON.stringify({ treeSize, rootHash, timestamp }).
+async function getSignedTreeHead() {
+  const treeSize = await getTreeSize();
+  if (latestHead && latestHead.treeSize === treeSize) return latestHead;
+
+  await loadLeaves(treeSize);
+  const head = {
+    treeSize,
+    rootHash: subtreeHash(0, treeSize).toString('hex'),
+    timestamp: new Date().toISOString(),
+  };
+  const signed = {
+    ...head,
+    signature: signHead(head),
+    signatureAlgorithm: SIGNATURE_ALGORITHM,
+    publicKey: publicKeyBase64,
+  };
+  if (!latestHead || treeSize > latestHead.treeSize) latestHead = signed;
+  return signed;
+}
+
+async function resolveTreeSize(requested) {
+  const current = await getTreeSize();
+  if (requested === undefined || requested === null) return current;
+  if (requested > current) throw TransparencyError(`Tree size ${requested} is larger than the log (${current})`);
+  return requested;
+}
+
+// Proof that a leaf is in the tree of `treeSize` leaves (default: the current tree).
+// The leaf is picked by `leafIndex`, or as the latest entry for `userId` + `deviceId`.
+async function getInclusionProof({ leafIndex, userId, deviceId, treeSize }) {
+  const size = await resolveTreeSize(treeSize);
+
+  let entry;
+  if (leafIndex !== undefined && leafIndex !== null) {
+    entry = await prisma.keyTransparencyEntry.findUnique({ where: { index: leafIndex } });
+  } else {
+    entry = await prisma.keyTransparencyEntry.findFirst({
+      where: { userId, deviceId: Number(deviceId), index: { lt: size } },
+      orderBy: { index: 'desc' },
+    });
+  }
+  if (!entry || entry.index >= size) throw TransparencyError('Entry not found in the log', 404);
+
+  await loadLeaves(size);
+  return {
+    treeSize: size,
+    rootHash: subtreeHash(0, size).toString('hex'),
+    entry: toPublicEntry(entry),
+    leafData: leafData(entry),
+    auditPath: auditPath(entry.index, 0, size).map(h => h.toString('hex')),
+  };
+}
+
+// Proof that the tree of `first` leaves is a prefix of the tree of `second` leaves
+async function getConsistencyProof({ first, second }) {
+  const size = await resolveTreeSize(second);
+  if (first < 1 || first > size) throw TransparencyError('first must be between 1 and second');
+
+  await loadLeaves(size);
+  return {
+    first,
+    second: size,
+    firstRootHash: subtreeHash(0, first).toString('hex'),
+    secondRootHash: subtreeHash(0, size).toString('hex'),
+    proof: subproof(first, 0, size, true).map(h => h.toString('hex')),
+  };
+}
+
+module.exports = {
+  TransparencyError,
+  appendEntry,
+  appendRemovals,
+  getSignedTreeHead,
+  getInclusionProof,
+  getConsistencyProof,
+};
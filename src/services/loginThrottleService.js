@@ -0,0 +1,169 @@
+const Redis = require('ioredis');
+const { RateLimiterMemory, RateLimiterRedis } = require('rate-limiter-flexible');
+
+// Brute-force protection for password login. Consecutive failures are counted per
+// email and per IP. Once an email runs out of attempts it is locked for
+// LOGIN_LOCKOUT_SEC, doubling with every further lockout inside LOCKOUT_HISTORY_SEC.
+// A successful login (or an emailed unlock code) resets the email counter; with 2FA on,
+// that is only once the second factor has been accepted too.
+// Wrong second factors (TOTP or backup codes) are counted per user the same way, with
+// their own lockout, so knowing the password doesn't buy unlimited guesses.
+// Redis-backed when REDIS_URL is set (shared across nodes), in-memory otherwise.
+
+const MAX_FAILURES_PER_EMAIL = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const MAX_FAILURES_PER_IP = Number(process.env.LOGIN_MAX_FAILURES_PER_IP || 50);
+const MAX_MFA_FAILURES = Number(process.env.LOGIN_MAX_MFA_FAILURES || 5);
+const FAILURE_WINDOW_SEC = 60 * 60;
+const BASE_LOCKOUT_SEC = Number(process.env.LOGIN_LOCKOUT_SEC || 15 * 60);
+const MAX_LOCKOUT_SEC = 24 * 60 * 60;
+const LOCKOUT_HISTORY_SEC = 24 * 60 * 60;
+
+let redis = null;
+if (process.env.REDIS_URL) {
+  redis = new Redis(process.env.REDIS_URL);
+  redis.on('error', (err) => console.error('Redis Login Throttle Client Error:', err));
+}
+
+function createLimiter(opts) {
+  return redis
+    ? new RateLimiterRedis({ storeClient: redis, ...opts })
+    : new RateLimiterMemory(opts);
+}
+
+const emailFailures = createLimiter({
+  keyPrefix: 'login_fail_email',
+  points: MAX_FAILURES_PER_EMAIL,
+  duration: FAILURE_WINDOW_SEC,
+});
+
+const ipFailures = createLimiter({
+  keyPrefix: 'login_fail_ip',
+  points: MAX_FAILURES_PER_IP,
+  duration: FAILURE_WINDOW_SEC,
+  blockDuration: BASE_LOCKOUT_SEC,
+});
+
+const mfaFailures = createLimiter({
+  keyPrefix: 'login_fail_mfa',
+  points: MAX_MFA_FAILURES,
+  duration: FAILURE_WINDOW_SEC,
+});
+
+// how many times an email (or a user's second factor) has been locked recently, drives the backoff
+const lockoutHistory = createLimiter({
+  keyPrefix: 'login_lockouts',
+  points: 100,
+  duration: LOCKOUT_HISTORY_SEC,
+});
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// consume() rejects with a RateLimiterRes once the points are used up
+async function consume(limiter, key) {
+  try {
+    return await limiter.consume(key);
+  } catch (rejRes) {
+    if (rejRes instanceof Error) throw rejRes;
+    return rejRes;
+  }
+}
+
+function isBlocked(limiter, res) {
+  return !!res && res.consumedPoints > limiter.points;
+}
+
+function retryAfterSec(res) {
+  return Math.max(1, Math.ceil((res?.msBeforeNext || 0) / 1000));
+}
+
+// Checked before verifying the password so a locked account costs no hashing
+async function checkAllowed(email, ip) {
+  const [emailRes, ipRes] = await Promise.all([
+    emailFailures.get(normalizeEmail(email)),
+    ip ? ipFailures.get(ip) : null,
+  ]);
+
+  const blocked = [];
+  if (isBlocked(emailFailures, emailRes)) blocked.push(retryAfterSec(emailRes));
+  if (isBlocked(ipFailures, ipRes)) blocked.push(retryAfterSec(ipRes));
+
+  if (blocked.length === 0) return { allowed: true };
+  return { allowed: false, retryAfter: Math.max(...blocked) };
+}
+
+// Returns { lockedOut, retryAfter } where lockedOut is true only for the failure that
+// triggered a new email lockout (so the caller notifies the owner once).
+async function recordFailure(email, ip) {
+  const key = normalizeEmail(email);
+  const [emailRes] = await Promise.all([
+    consume(emailFailures, key),
+    ip ? consume(ipFailures, ip) : null,
+  ]);
+
+  return startLockout(emailFailures, emailRes, key, key);
+}
+
+// Only the failure that uses up the last point starts a lockout; anything past it
+// raced with that request and the block is already in place
+async function startLockout(limiter, res, key, historyKey) {
+  if (res.consumedPoints !== limiter.points) {
+    return { lockedOut: false };
+  }
+
+  const history = await consume(lockoutHistory, historyKey);
+  const lockoutSec = Math.min(BASE_LOCKOUT_SEC * 2 ** (history.consumedPoints - 1), MAX_LOCKOUT_SEC);
+  await limiter.block(key, lockoutSec);
+
+  return { lockedOut: true, retryAfter: lockoutSec, lockoutCount: history.consumedPoints };
+}
+
+// The IP counter is left alone: a correct password for one account says nothing
+// about the other accounts being tried from the same address.
+async function recordSuccess(email) {
+  await emailFailures.delete(normalizeEmail(email));
+}
+
+// Checked before a second factor is verified (and before a challenge is handed out)
+async function checkMfaAllowed(userId) {
+  const res = await mfaFailures.get(String(userId));
+  if (!isBlocked(mfaFailures, res)) return { allowed: true };
+  return { allowed: false, retryAfter: retryAfterSec(res) };
+}
+
+// Counts a second-factor attempt before it is checked, so parallel guesses (over any
+// number of challenges) can't get past the limit. Returns { allowed, retryAfter }.
+async function claimMfaAttempt(userId) {
+  const res = await consume(mfaFailures, String(userId));
+  if (isBlocked(mfaFailures, res)) return { allowed: false, retryAfter: retryAfterSec(res) };
+  return { allowed: true, consumedPoints: res.consumedPoints };
+}
+
+// After a claimed attempt turned out wrong; same result as recordFailure
+async function recordMfaFailure(userId, attempt) {
+  const key = String(userId);
+  return startLockout(mfaFailures, attempt, key, `mfa:${key}`);
+}
+
+async function recordMfaSuccess(userId) {
+  await mfaFailures.delete(String(userId));
+}
+
+// The emailed unlock link only clears the password lockout: it proves access to the
+// mailbox, not to the second factor
+async function unlock(email) {
+  const key = normalizeEmail(email);
+  await Promise.all([emailFailures.delete(key), lockoutHistory.delete(key)]);
+}
+
+module.exports = {
+  checkAllowed,
+  recordFailure,
+  recordSuccess,
+  checkMfaAllowed,
+  claimMfaAttempt,
+  recordMfaFailure,
+  recordMfaSuccess,
+  unlock,
+};
@@ -0,0 +1,86 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { renderTemplate } = require('./mailTemplates');
+
+// Outgoing email. Controllers call sendTemplate(); the transport is picked by MAIL_TRANSPORT:
+//   smtp    - real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - writes each message as an .eml file to MAIL_OUTBOX_DIR (local dev, tests)
+//   console - prints the text part to the server log
+const MAIL_FROM = process.env.MAIL_FROM || 'Vault Relay <no-reply@vaultrelay.local>';
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox');
+
+// A transport is created lazily from a factory and is an async function receiving
+// { from, to, subject, text, html }.
+const transportFactories = new Map();
+const transports = new Map();
+
+transportFactories.set('console', () => async (mail) => {
+  console.log('\n==================================================');
+  console.log(`[MOCK EMAIL] To: ${mail.to}`);
+  console.log(`[MOCK EMAIL] Subject: ${mail.subject}`);
+  console.log(mail.text);
+  console.log('==================================================\n');
+});
+
+transportFactories.set('file', () => {
+  // nodemailer only builds the RFC 822 message here, nothing is sent
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return async (mail) => {
+    const info = await composer.sendMail(mail);
+    await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    await fs.writeFile(path.join(MAIL_OUTBOX_DIR, fileName), info.message);
+  };
+});
+
+transportFactories.set('smtp', () => {
+  if (!process.env.SMTP_HOST) throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+
+  const port = Number(process.env.SMTP_PORT || 587);
+  const smtp = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return async (mail) => {
+    await smtp.sendMail(mail);
+  };
+});
+
+function registerTransport(name, factory) {
+  if (typeof factory !== 'function') throw new Error('Mail transport factory must be a function');
+  transportFactories.set(name, factory);
+  transports.delete(name);
+}
+
+function getTransport(name) {
+  if (!transports.has(name)) {
+    const factory = transportFactories.get(name);
+    if (!factory) throw new Error(`Unknown mail transport: ${name}`);
+    transports.set(name, factory());
+  }
+  return transports.get(name);
+}
+
+async function sendMail({ to, subject, text, html }) {
+  if (!to || !subject) throw new Error('sendMail requires to and subject');
+
+  const send = getTransport(MAIL_TRANSPORT);
+  await send({ from: MAIL_FROM, to, subject, text: text || '', html });
+}
+
+// Render one of the templates in mailTemplates and send it
+async function sendTemplate(to, templateName, params) {
+  const { subject, text, html } = renderTemplate(templateName, params);
+  await sendMail({ to, subject, text, html });
+}
+
+module.exports = { sendMail, sendTemplate, registerTransport };
@@ -0,0 +1,93 @@
+// Email templates. Each takes a params object and returns { subject, text, html }.
+// Keep the wording here so controllers only decide *when* to send.
+
+const APP_NAME = process.env.MAIL_APP_NAME || 'Vault Relay';
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Builds text + html from a list of blocks: strings are paragraphs,
+// { link } renders a link, { code } renders a highlighted code
+function render(subject, blocks) {
+  const text = blocks.map((b) => {
+    if (typeof b === 'string') return b;
+    if (b.link) return b.link;
+    return b.code;
+  }).join('\n\n');
+
+  const body = blocks.map((b) => {
+    if (typeof b === 'string') return `<p>${escapeHtml(b)}</p>`;
+    if (b.link) return `<p><a href="${escapeHtml(b.link)}">${escapeHtml(b.label || b.link)}</a></p>`;
+    return `<p style="font-size:24px;font-weight:bold;letter-spacing:4px">${escapeHtml(b.code)}</p>`;
+  }).join('\n');
+
+  return {
+    subject,
+    text: `${text}\n\n- ${APP_NAME}`,
+    html: `<!doctype html>\n<html><body style="font-family:sans-serif">\n${body}\n<p>- ${escapeHtml(APP_NAME)}</p>\n</body></html>`,
+  };
+}
+
+const templates = {
+  emailVerification({ link, expiresInHours }) {
+    return render(`Verify your ${APP_NAME} email address`, [
+      'Confirm your email address by opening the link below:',
+      { link, label: 'Verify email address' },
+      `The link expires in ${expiresInHours} hours.`,
+    ]);
+  },
+
+  passwordReset({ link, expiresInMinutes }) {
+    return render(`Reset your ${APP_NAME} password`, [
+      'Someone requested a password reset for your account. If this was you, open the link below:',
+      { link, label: 'Reset password' },
+      `The link expires in ${expiresInMinutes} minutes. If you did not request this, you can ignore this email.`,
+    ]);
+  },
+
+  recoveryCode({ code, expiresInMinutes }) {
+    return render(`Your ${APP_NAME} device recovery code`, [
+      'Use this code on the device you want to make your primary device:',
+      { code },
+      `The code expires in ${expiresInMinutes} minutes. If you did not request it, someone with access to one of your devices did; unlink any device you don't recognise.`,
+    ]);
+  },
+
+  newDeviceAlert({ deviceName, deviceId, ip, userAgent, when }) {
+    return render(`New device linked to your ${APP_NAME} account`, [
+      `A new device was linked to your account: ${deviceName || 'Unnamed device'} (device ${deviceId}).`,
+      `Time: ${(when || new Date()).toISOString()}${ip ? `\nIP address: ${ip}` : ''}${userAgent ? `\nClient: ${userAgent}` : ''}`,
+      'If this was not you, unlink the device from your primary device and change your password.',
+    ]);
+  },
+
+  passkeyAdded({ name, ip, userAgent, when }) {
+    return render(`New passkey added to your ${APP_NAME} account`, [
+      `A passkey was added to your account: ${name || 'Unnamed passkey'}. It can be used to sign in without your password.`,
+      `Time: ${(when || new Date()).toISOString()}${ip ? `\nIP address: ${ip}` : ''}${userAgent ? `\nClient: ${userAgent}` : ''}`,
+      'If this was not you, remove the passkey in your security settings and change your password.',
+    ]);
+  },
+
+  accountLocked({ link, unlocksInMinutes }) {
+    return render(`Your ${APP_NAME} account was temporarily locked`, [
+      'We locked sign-in to your account after several failed password attempts. If this was you, open the link below to unlock it now:',
+      { link, label: 'Unlock account' },
+      `Otherwise sign-in unlocks by itself in ${unlocksInMinutes} minutes. If you did not try to sign in, consider changing your password.`,
+    ]);
+  },
+};
+
+function renderTemplate(name, params = {}) {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown mail template: ${name}`);
+  return template(params);
+}
+
+module.exports = { renderTemplate };
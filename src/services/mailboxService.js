@@ -0,0 +1,154 @@
+const prisma = require('../db/prismaClient');
+
+const ENVELOPE_TTL_SEC = Number(process.env.ENVELOPE_TTL) || 60 * 60 * 24 * 30; // seconds (30 days)
+const MAX_DRAIN_BATCH = 500;
+
+// Returns the userId.deviceId -> ciphertext map from a stored SIGNAL_ENCRYPTED content string,
+// or null when the content is a single { type, body } blob meant for the conversation room.
+function parseFanoutMap(contentString) {
+  if (!contentString || !contentString.startsWith('{')) return null;
+  try {
+    const parsed = JSON.parse(contentString);
+    if (parsed && typeof parsed === 'object' && !parsed.type) return parsed;
+  } catch (e) {
+    // not JSON: caller falls back to the room broadcast
+  }
+  return null;
+}
+
+async function findDevice(userId, deviceId) {
+  if (!userId || !deviceId) return null;
+  return prisma.device.findUnique({
+    where: { userId_deviceId: { userId, deviceId: parseInt(deviceId) } },
+    select: { id: true, userId: true, deviceId: true },
+  });
+}
+
+// Persist one envelope per addressed device. Only devices belonging to
+// allowedUserIds (the conversation participants) get a copy.
+async function enqueueFanout({ message, fanoutMap, allowedUserIds }) {
+  const allowed = new Set(allowedUserIds);
+  const targets = [];
+  for (const [addressKey, ciphertext] of Object.entries(fanoutMap)) {
+    const [userId, deviceId] = addressKey.split('.');
+    const deviceNum = parseInt(deviceId);
+    if (!allowed.has(userId) || !Number.isInteger(deviceNum)) continue;
+    targets.push({ userId, deviceId: deviceNum, ciphertext });
+  }
+  if (targets.length === 0) return [];
+
+  const devices = await prisma.device.findMany({
+    where: { OR: targets.map(t => ({ userId: t.userId, deviceId: t.deviceId })) },
+    select: { id: true, userId: true, deviceId: true },
+  });
+  const deviceByAddress = new Map(devices.map(d => [`${d.userId}.${d.deviceId}`, d]));
+
+  const expiresAt = new Date(Date.now() + ENVELOPE_TTL_SEC * 1000);
+  const rows = [];
+  for (const t of targets) {
+    const device = deviceByAddress.get(`${t.userId}.${t.deviceId}`);
+    if (!device) continue;
+    rows.push({
+      device,
+      data: {
+        deviceId: device.id,
+        messageId: message.id,
+        event: 'message',
+        payload: { message: { ...message, content: JSON.stringify(t.ciphertext) } },
+        expiresAt,
+      },
+    });
+  }
+  if (rows.length === 0) return [];
+
+  const created = await prisma.deviceEnvelope.createManyAndReturn({ data: rows.map(r => r.data) });
+  const deviceById = new Map(rows.map(r => [r.device.id, r.device]));
+
+  return created.map(env => ({ ...env, device: deviceById.get(env.deviceId) }));
+}
+
+// Store each device's ciphertext and push it to the device room. Envelopes stay
+// queued until the device acknowledges them, so offline devices get them on reconnect.
+async function dispatchFanout(io, { message, fanoutMap, allowedUserIds }) {
+  const envelopes = await enqueueFanout({ message, fanoutMap, allowedUserIds });
+  if (!io) return envelopes;
+  for (const env of envelopes) {
+    io.to(`device:${env.device.userId}:${env.device.deviceId}`).emit(env.event, {
+      ...env.payload,
+      envelopeId: env.id,
+    });
+  }
+  return envelopes;
+}
+
+// Deliver a non-message event to one device: emitted straight away when the device has a
+// live socket (on any node), otherwise queued so deliverPendingEnvelopes sends it on connect.
+// A queued event replaces an older queued one of the same kind.
+async function emitOrQueue(io, { userId, deviceId, event, payload }) {
+  const room = `device:${userId}:${deviceId}`;
+  if (io) {
+    const sockets = await io.in(room).fetchSockets();
+    if (sockets.length > 0) {
+      io.to(room).emit(event, payload);
+      return { delivered: true };
+    }
+  }
+
+  const device = await findDevice(userId, deviceId);
+  if (!device) return { delivered: false };
+
+  await prisma.$transaction([
+    prisma.deviceEnvelope.deleteMany({ where: { deviceId: device.id, event } }),
+    prisma.deviceEnvelope.create({
+      data: {
+        deviceId: device.id,
+        event,
+        payload,
+        expiresAt: new Date(Date.now() + ENVELOPE_TTL_SEC * 1000),
+      },
+    }),
+  ]);
+  return { delivered: false, queued: true };
+}
+
+// Oldest first, one batch at a time; `hasMore` tells the device to ack and drain again.
+async function getPendingEnvelopes(userId, deviceId, { limit = MAX_DRAIN_BATCH } = {}) {
+  const device = await findDevice(userId, deviceId);
+  if (!device) return { envelopes: [], hasMore: false };
+
+  const take = Math.min(limit, MAX_DRAIN_BATCH);
+  const rows = await prisma.deviceEnvelope.findMany({
+    where: { deviceId: device.id, expiresAt: { gt: new Date() } },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    take: take + 1,
+    select: { id: true, event: true, payload: true, createdAt: true },
+  });
+  return { envelopes: rows.slice(0, take), hasMore: rows.length > take };
+}
+
+async function acknowledgeEnvelopes(userId, deviceId, envelopeIds) {
+  if (!Array.isArray(envelopeIds) || envelopeIds.length === 0) return 0;
+  const device = await findDevice(userId, deviceId);
+  if (!device) return 0;
+
+  const result = await prisma.deviceEnvelope.deleteMany({
+    where: { deviceId: device.id, id: { in: envelopeIds.map(String) } },
+  });
+  return result.count;
+}
+
+async function pruneExpiredEnvelopes() {
+  const result = await prisma.deviceEnvelope.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+  return result.count;
+}
+
+module.exports = {
+  parseFanoutMap,
+  dispatchFanout,
+  emitOrQueue,
+  getPendingEnvelopes,
+  acknowledgeEnvelopes,
+  pruneExpiredEnvelopes,
+};
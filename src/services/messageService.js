@@ -1,6 +1,8 @@
 const prisma = require('../db/prismaClient');
 const { isBlocked } = require('./blockService');
 
+const NOTICE_RETENTION_DAYS = Number(process.env.NOTICE_RETENTION_DAYS) || 30;
+
 async function createMessage({ senderId, senderDeviceId, conversationId, content, contentType = 'TEXT', attachmentUrl, replyToId }) {
 
     const isSystemMessage = contentType === 'SIGNAL_KEY_DISTRIBUTION' || contentType === 'SIGNAL_REACTION';
@@ -158,6 +160,37 @@ async function markAsRead({ userId, conversationId, lastReadMessageId = null })
     });
 }
 
+// Persists a SYSTEM_NOTICE in every conversation of `userId` saying that one of their
+// devices has a new identity key, so peers that were offline still see the warning.
+// Notices have no sender (the server wrote them, not `userId`), don't count as unread,
+// never become the conversation's lastMessage and are pruned after NOTICE_RETENTION_DAYS.
+async function createIdentityChangeNotices({ userId, deviceId }) {
+    const memberships = await prisma.participant.findMany({
+        where: { userId },
+        select: { conversationId: true },
+    });
+    if (memberships.length === 0) return [];
+
+    const content = JSON.stringify({ type: 'identity_changed', userId, deviceId: Number(deviceId) });
+    return prisma.message.createManyAndReturn({
+        data: memberships.map((m) => ({
+            conversationId: m.conversationId,
+            senderId: null,
+            content,
+            contentType: 'SYSTEM_NOTICE',
+        })),
+    });
+}
+
+// Drops system notices older than NOTICE_RETENTION_DAYS. Returns how many were deleted.
+async function pruneSystemNotices() {
+    const cutoff = new Date(Date.now() - NOTICE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const result = await prisma.message.deleteMany({
+        where: { contentType: 'SYSTEM_NOTICE', createdAt: { lt: cutoff } },
+    });
+    return result.count;
+}
+
 async function editMessage(messageId, userId, newContent) {
     if (!newContent || newContent.trim() === '') {
         throw new Error('Content is required');
@@ -165,6 +198,7 @@ async function editMessage(messageId, userId, newContent) {
     const message = await prisma.message.findUnique({ where: { id: messageId } });
     if (!message) throw new Error('Message not found');
     if (message.senderId !== userId) throw new Error('Forbidden: You can only edit your own messages');
+    if (message.contentType === 'SYSTEM_NOTICE') throw new Error('Forbidden: System notices cannot be edited');
 
     // 48-hour edit window enforcement
     const EDIT_WINDOW_MS = 48 * 60 * 60 * 1000;
@@ -198,6 +232,7 @@ async function deleteMessage(messageId, userId) {
     const message = await prisma.message.findUnique({ where: { id: messageId } });
     if (!message) throw new Error('Message not found');
     if (message.senderId !== userId) throw new Error('Forbidden: You can only delete your own messages');
+    if (message.contentType === 'SYSTEM_NOTICE') throw new Error('Forbidden: System notices cannot be deleted');
 
     const participants = await prisma.participant.findMany({
         where: { conversationId: message.conversationId },
@@ -216,6 +251,8 @@ async function deleteMessage(messageId, userId) {
 module.exports = {
     createMessage,
     markAsRead,
+    createIdentityChangeNotices,
+    pruneSystemNotices,
     editMessage,
     deleteMessage
 };
\ No newline at end of file
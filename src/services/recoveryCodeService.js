@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const prisma = require('../db/prismaClient');
+
+// Emailed 6-digit codes that let a linked device promote itself to primary.
+// Only an HMAC of the code is stored (a plain hash of 10^6 values is trivially reversed),
+// a new code replaces any unused one, and a code is burned after MAX_ATTEMPTS wrong
+// guesses, which also locks recovery for the user for LOCKOUT_SEC.
+
+const CODE_EXPIRES_SEC = Number(process.env.RECOVERY_CODE_EXPIRES || 10 * 60);
+const REQUEST_COOLDOWN_SEC = 60;
+const MAX_ATTEMPTS = Number(process.env.RECOVERY_CODE_MAX_ATTEMPTS || 5);
+const LOCKOUT_SEC = Number(process.env.RECOVERY_CODE_LOCKOUT_SEC || 60 * 60);
+const CODE_SECRET = process.env.RECOVERY_CODE_SECRET || process.env.JWT_ACCESS_SECRET;
+
+function RecoveryCodeError(message, status = 400, retryAfter = null) {
+  const err = new Error(message);
+  err.name = 'RecoveryCodeError';
+  err.status = status;
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+function hashCode(code) {
+  return crypto.createHmac('sha256', CODE_SECRET).update(String(code).trim()).digest('hex');
+}
+
+function codesMatch(code, codeHash) {
+  const given = Buffer.from(hashCode(code), 'hex');
+  const expected = Buffer.from(codeHash, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
+
+async function assertNotLocked(userId) {
+  const locked = await prisma.deviceRecoveryCode.findFirst({
+    where: { userId, lockedUntil: { gt: new Date() } },
+    orderBy: { lockedUntil: 'desc' },
+  });
+  if (locked) {
+    throw RecoveryCodeError('Too many wrong codes, device recovery is temporarily locked', 429, secondsUntil(locked.lockedUntil));
+  }
+}
+
+// Returns { code, expiresInSec }. The caller emails the code.
+async function issueRecoveryCode(userId) {
+  await assertNotLocked(userId);
+
+  const latest = await prisma.deviceRecoveryCode.findFirst({
+    where: { userId, lockedUntil: null },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (latest && Date.now() - latest.createdAt.getTime() < REQUEST_COOLDOWN_SEC * 1000) {
+    const retryAfter = REQUEST_COOLDOWN_SEC - Math.floor((Date.now() - latest.createdAt.getTime()) / 1000);
+    throw RecoveryCodeError('Please wait before requesting another recovery code', 429, retryAfter);
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+  // supersede older codes; rows carrying a lockout are kept until it ends
+  await prisma.$transaction([
+    prisma.deviceRecoveryCode.deleteMany({ where: { userId, lockedUntil: null } }),
+    prisma.deviceRecoveryCode.create({
+      data: {
+        userId,
+        codeHash: hashCode(code),
+        expiresAt: new Date(Date.now() + CODE_EXPIRES_SEC * 1000),
+      },
+    }),
+  ]);
+
+  return { code, expiresInSec: CODE_EXPIRES_SEC };
+}
+
+// Checks and consumes the user's current code. Throws RecoveryCodeError on any failure.
+async function consumeRecoveryCode(userId, code) {
+  await assertNotLocked(userId);
+
+  const record = await prisma.deviceRecoveryCode.findFirst({
+    where: { userId, usedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (!record) throw RecoveryCodeError('Invalid or expired recovery code');
+
+  // Reserve an attempt before comparing, so parallel guesses can't all be checked
+  // against the code before any of them is counted
+  const reserved = await prisma.deviceRecoveryCode.updateMany({
+    where: { id: record.id, usedAt: null, attempts: { lt: MAX_ATTEMPTS } },
+    data: { attempts: { increment: 1 } },
+  });
+  if (reserved.count !== 1) throw RecoveryCodeError('Invalid or expired recovery code');
+
+  if (!codesMatch(code, record.codeHash)) {
+    const { attempts } = await prisma.deviceRecoveryCode.findUnique({
+      where: { id: record.id },
+      select: { attempts: true },
+    });
+    if (attempts >= MAX_ATTEMPTS) {
+      const lockedUntil = new Date(Date.now() + LOCKOUT_SEC * 1000);
+      await prisma.deviceRecoveryCode.update({
+        where: { id: record.id },
+        data: { usedAt: new Date(), lockedUntil },
+      });
+      throw RecoveryCodeError('Too many wrong codes, device recovery is temporarily locked', 429, LOCKOUT_SEC);
+    }
+    const err = RecoveryCodeError('Invalid or expired recovery code');
+    err.remainingAttempts = MAX_ATTEMPTS - attempts;
+    throw err;
+  }
+
+  // conditional so a code can't be redeemed twice, or after a parallel guess locked it
+  const result = await prisma.deviceRecoveryCode.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  if (result.count === 0) throw RecoveryCodeError('Invalid or expired recovery code');
+}
+
+async function pruneRecoveryCodes() {
+  const now = new Date();
+  const result = await prisma.deviceRecoveryCode.deleteMany({
+    where: {
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }],
+      AND: [{ OR: [{ expiresAt: { lt: now } }, { usedAt: { not: null } }] }],
+    },
+  });
+  return result.count;
+}
+
+module.exports = {
+  issueRecoveryCode,
+  consumeRecoveryCode,
+  pruneRecoveryCodes,
+};
@@ -0,0 +1,98 @@
+const prisma = require('../db/prismaClient');
+const { olderThanCursorWhere, parseCursorParam, makeCursorToken } = require('../utils/pagination');
+
+// Append-only log of security-relevant account events (logins, token reuse, lockouts,
+// device link/unlink, primary promotion, password changes, ...). Rows are only ever
+// inserted; the user can read them and every other signed-in device is told live.
+
+const MAX_PAGE_SIZE = 100;
+
+// Refresh tokens keep the device number as a string, access tokens as a number
+function toDeviceNumber(deviceId) {
+  if (deviceId === null || deviceId === undefined) return null;
+  const n = Number.parseInt(deviceId, 10);
+  return Number.isInteger(n) ? n : null;
+}
+
+function toPublicEvent(e) {
+  return {
+    id: e.id,
+    type: e.type,
+    deviceId: e.deviceId,
+    ip: e.ip,
+    userAgent: e.userAgent,
+    metadata: e.metadata,
+    createdAt: e.createdAt,
+  };
+}
+
+// required lazily: the socket module depends (indirectly) on this one
+function getIo() {
+  return require('../socket').io;
+}
+
+// Push to every socket of the user except the device that caused the event
+function pushToOtherDevices(event, userId) {
+  const io = getIo();
+  if (!io) return;
+
+  let target = io.to(`user:${userId}`);
+  if (event.deviceId) target = target.except(`device:${userId}:${event.deviceId}`);
+  target.emit('security.event', toPublicEvent(event));
+}
+
+async function recordSecurityEvent({ userId, type, deviceId = null, ip = null, userAgent = null, metadata = null }) {
+  if (!userId || !type) throw new Error('recordSecurityEvent requires userId and type');
+
+  try {
+    const event = await prisma.securityEvent.create({
+      data: {
+        userId,
+        type,
+        deviceId: toDeviceNumber(deviceId),
+        ip,
+        userAgent,
+        metadata: metadata ?? undefined,
+      },
+    });
+    pushToOtherDevices(event, userId);
+    return event;
+  } catch (err) {
+    // never let auditing break the request that triggered it
+    console.error('Failed to record security event', type, err);
+    return null;
+  }
+}
+
+// Newest first. Returns { events, nextCursor, hasNext }.
+async function listSecurityEvents(userId, { limit = 50, cursor = null } = {}) {
+  const take = Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE_SIZE);
+
+  let whereCursor = {};
+  const parsed = parseCursorParam(cursor);
+  if (parsed && parsed.createdAt) {
+    whereCursor = olderThanCursorWhere(parsed);
+  } else if (parsed) {
+    const cursorEvent = await prisma.securityEvent.findFirst({
+      where: { id: parsed.id, userId },
+      select: { id: true, createdAt: true },
+    });
+    if (cursorEvent) whereCursor = olderThanCursorWhere(cursorEvent);
+  }
+
+  const rows = await prisma.securityEvent.findMany({
+    where: { AND: [{ userId }, whereCursor] },
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take: take + 1,
+  });
+
+  const hasNext = rows.length > take;
+  const page = rows.slice(0, take);
+  const nextCursor = hasNext
+    ? makeCursorToken({ id: page[page.length - 1].id, createdAt: page[page.length - 1].createdAt })
+    : null;
+
+  return { events: page.map(toPublicEvent), nextCursor, hasNext };
+}
+
+module.exports = { recordSecurityEvent, listSecurityEvents };
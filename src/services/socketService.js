@@ -1,7 +1,15 @@
 const prisma = require('../db/prismaClient');
 const MessageService = require('../services/messageService');
+const MailboxService = require('../services/mailboxService');
+const DeviceService = require('../services/deviceService');
+const DeviceLinkService = require('../services/deviceLinkService');
 const userSockets = new Map();
 const { validateSignalPayload } = require('../utils/signalValidation');
+const tokenService = require('../services/tokenService');
+const tokenDenylist = require('../services/tokenDenylistService');
+
+// how long before access token expiry the client gets an `auth:expiring` nudge
+const TOKEN_EXPIRY_WARNING_SEC = Number(process.env.SOCKET_TOKEN_EXPIRY_WARNING) || 60;
 
 async function notifyFriendsPresence(io, userId, payload) {
   try {
@@ -31,6 +39,47 @@ async function notifyFriendsPresence(io, userId, payload) {
   }
 }
 
+// Tell everyone who shares a conversation with userId (the user excluded)
+async function notifyConversationPeers(io, userId, event, payload) {
+  if (!io || !userId) return;
+  try {
+    const rows = await prisma.participant.findMany({
+      where: {
+        conversation: { participants: { some: { userId } } },
+        userId: { not: userId },
+      },
+      select: { userId: true },
+      distinct: ['userId'],
+    });
+
+    if (rows.length > 0) {
+      io.to(rows.map(r => `user:${r.userId}`)).emit(event, payload);
+    }
+  } catch (err) {
+    console.error('notifyConversationPeers error', err);
+  }
+}
+
+// A device joined or left the account: the user's other devices re-fetch the device list,
+// contacts refresh the fan-out targets they encrypt to. `change` is 'linked' or 'unlinked'.
+async function notifyDeviceListChanged(io, userId, change, device) {
+  if (!io || !userId || !device) return;
+
+  io.to(`user:${userId}`).emit(`device.${change}`, {
+    deviceId: device.deviceId,
+    deviceName: device.deviceName,
+    isPrimary: device.isPrimary,
+    platform: device.platform ?? null,
+    capabilities: device.capabilities ?? {},
+  });
+
+  await notifyConversationPeers(io, userId, 'contact.devices_changed', {
+    userId,
+    change,
+    deviceId: device.deviceId,
+  });
+}
+
 
 async function attachSocket(io, socket) {
   const userId = socket.user?.id;
@@ -46,6 +95,15 @@ async function attachSocket(io, socket) {
   const deviceId = socket.user?.deviceId;
   if (deviceId) {
     socket.join(`device:${userId}:${deviceId}`);
+    await DeviceService.touchDevice(userId, deviceId, { force: true });
+    // attachSocket runs in the handshake middleware; socket.io completes the connection on
+    // the next tick, so the flush is deferred until the client can receive events
+    setImmediate(() => deliverPendingEnvelopes(socket));
+  }
+
+  // sid = refresh token the access token was issued with; lets session revocation find this socket
+  if (socket.user?.sid) {
+    socket.join(`session:${socket.user.sid}`);
   }
 
   if (socketSet.size === 1) {
@@ -69,10 +127,39 @@ async function attachSocket(io, socket) {
 }
 
 
+// Replay envelopes queued while this device was offline, one batch at a time: when more are
+// waiting, the next batch follows once the device has acked every envelope of this one.
+async function deliverPendingEnvelopes(socket) {
+  const userId = socket.user?.id;
+  const deviceId = socket.user?.deviceId;
+  if (!userId || !deviceId) return;
+
+  try {
+    const { envelopes, hasMore } = await MailboxService.getPendingEnvelopes(userId, deviceId);
+    socket.pendingEnvelopeBatch = hasMore ? new Set(envelopes.map(env => env.id)) : null;
+    for (const env of envelopes) {
+      socket.emit(env.event, { ...env.payload, envelopeId: env.id });
+    }
+    if (hasMore) {
+      socket.emit('mailbox.more', { delivered: envelopes.length });
+    }
+    if (envelopes.length > 0) {
+      console.log(`Delivered ${envelopes.length} queued envelope(s) to device ${userId}:${deviceId}`);
+    }
+  } catch (e) {
+    console.error('Failed to deliver pending envelopes', e);
+  }
+}
+
+
 async function onDisconnect(io, socket, reason) {
   const userId = socket.user?.id;
   if (!userId) return;
 
+  if (socket.user?.deviceId) {
+    await DeviceService.touchDevice(userId, socket.user.deviceId, { force: true });
+  }
+
   const socketSet = userSockets.get(userId);
   if (!socketSet) return;
 
@@ -105,6 +192,59 @@ async function onDisconnect(io, socket, reason) {
 }
 
 
+function clearTokenExpiry(socket) {
+  if (!socket.authTimers) return;
+  clearTimeout(socket.authTimers.warn);
+  clearTimeout(socket.authTimers.expire);
+  socket.authTimers = null;
+}
+
+// The handshake token is only checked once, so track its expiry: warn the client shortly
+// before, and drop the socket with TOKEN_EXPIRED unless `auth:refresh` supplies a new one.
+function scheduleTokenExpiry(socket) {
+  clearTokenExpiry(socket);
+  const exp = socket.user?.exp;
+  if (!exp) return;
+
+  const expiresAt = new Date(exp * 1000).toISOString();
+  const msLeft = exp * 1000 - Date.now();
+
+  const expire = () => {
+    socket.emit('auth:expired', { code: 'TOKEN_EXPIRED', expiresAt });
+    socket.disconnect(true);
+  };
+
+  if (msLeft <= 0) {
+    expire();
+    return;
+  }
+
+  socket.authTimers = {
+    warn: setTimeout(() => {
+      socket.emit('auth:expiring', { expiresAt, refreshEvent: 'auth:refresh' });
+    }, Math.max(0, msLeft - TOKEN_EXPIRY_WARNING_SEC * 1000)),
+    expire: setTimeout(expire, msLeft),
+  };
+}
+
+// Force-close every live socket of a user (all devices, all nodes when the Redis adapter is on).
+function disconnectUser(io, userId) {
+  if (!io || !userId) return;
+  io.in(`user:${userId}`).disconnectSockets(true);
+}
+
+function disconnectDevice(io, userId, deviceId) {
+  if (!io || !userId || !deviceId) return;
+  io.in(`device:${userId}:${deviceId}`).disconnectSockets(true);
+}
+
+// Force-close the sockets opened with any of the given refresh token ids (one session's rotation chain).
+function disconnectSessions(io, tokenIds) {
+  if (!io || !tokenIds || tokenIds.length === 0) return;
+  io.in(tokenIds.map(id => `session:${id}`)).disconnectSockets(true);
+}
+
+
 function registerHandlers(io, socket) {
 
   socket.on('send_message', async (payload, ack) => {
@@ -135,23 +275,14 @@ function registerHandlers(io, socket) {
         replyToId,
       });
 
-      // 1. Notify the conversation room (Active Chat) / target devices
-      if (contentType === 'SIGNAL_ENCRYPTED' && contentString && contentString.startsWith('{')) {
-        try {
-          const parsedMap = JSON.parse(contentString);
-          if (parsedMap && typeof parsedMap === 'object' && !parsedMap.type) {
-            for (const [addressKey, ciphertext] of Object.entries(parsedMap)) {
-              const [recipientId, targetDeviceId] = addressKey.split('.');
-              io.to(`device:${recipientId}:${targetDeviceId}`).emit('message', {
-                message: { ...result.message, content: JSON.stringify(ciphertext) }
-              });
-            }
-          } else {
-            io.to(`conv:${conversationId}`).emit('message', { message: result.message });
-          }
-        } catch (e) {
-          io.to(`conv:${conversationId}`).emit('message', { message: result.message });
-        }
+      // 1. Notify the conversation room (Active Chat) / queue per-device envelopes
+      const fanoutMap = contentType === 'SIGNAL_ENCRYPTED' ? MailboxService.parseFanoutMap(contentString) : null;
+      if (fanoutMap) {
+        await MailboxService.dispatchFanout(io, {
+          message: result.message,
+          fanoutMap,
+          allowedUserIds: [senderId, ...result.recipients],
+        });
       } else {
         io.to(`conv:${conversationId}`).emit('message', { message: result.message });
       }
@@ -241,21 +372,154 @@ function registerHandlers(io, socket) {
     }
   });
 
-  socket.on('provision:send', (payload) => {
+  socket.on('auth:refresh', async (payload, ack) => {
+    try {
+      const { token } = payload || {};
+      if (!token) throw new Error('token required');
+
+      let claims;
+      try {
+        claims = tokenService.verifyAccessToken(token);
+      } catch (e) {
+        throw new Error(e.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+      }
+      if (await tokenDenylist.isRevoked(claims)) throw new Error('Token revoked');
+      if (claims.sub !== socket.user.id) throw new Error('Token belongs to a different user');
+
+      // a socket may pick up a device after registration, but never switch devices
+      const currentDeviceId = socket.user.deviceId ? String(socket.user.deviceId) : null;
+      const nextDeviceId = claims.deviceId ? String(claims.deviceId) : null;
+      if (currentDeviceId && currentDeviceId !== nextDeviceId) {
+        throw new Error('Token belongs to a different device');
+      }
+
+      const prevSid = socket.user.sid;
+      socket.user = { id: claims.sub, ...claims };
+
+      if (!currentDeviceId && nextDeviceId) {
+        socket.join(`device:${claims.sub}:${nextDeviceId}`);
+        // envelopes queued for the device before this socket picked it up
+        deliverPendingEnvelopes(socket);
+      }
+      if (prevSid !== claims.sid) {
+        if (prevSid) socket.leave(`session:${prevSid}`);
+        if (claims.sid) socket.join(`session:${claims.sid}`);
+      }
+
+      scheduleTokenExpiry(socket);
+      // a device can live on one socket for days; renewing its token counts as activity
+      await DeviceService.touchDevice(claims.sub, nextDeviceId);
+
+      if (ack) ack({ success: true, expiresAt: new Date(claims.exp * 1000).toISOString() });
+    } catch (err) {
+      if (ack) ack({ success: false, error: err.message });
+    }
+  });
+
+  socket.on('envelope:ack', async (payload, ack) => {
+    try {
+      const { envelopeIds } = payload || {};
+      if (!Array.isArray(envelopeIds)) throw new Error('envelopeIds must be an array');
+
+      const acknowledged = await MailboxService.acknowledgeEnvelopes(socket.user.id, socket.user.deviceId, envelopeIds);
+
+      if (ack) ack({ success: true, acknowledged });
+
+      const batch = socket.pendingEnvelopeBatch;
+      if (batch) {
+        for (const id of envelopeIds) batch.delete(String(id));
+        if (batch.size === 0) {
+          socket.pendingEnvelopeBatch = null;
+          await deliverPendingEnvelopes(socket);
+        }
+      }
+    } catch (err) {
+      if (ack) ack({ success: false, error: err.message });
+    }
+  });
+
+  // Device linking: the new device watches its link session, the primary looks up the
+  // code the user typed / scanned, then approves (with the provisioning payload) or rejects.
+  socket.on('link:watch', async (payload, ack) => {
+    try {
+      const { linkSessionId } = payload || {};
+      if (!linkSessionId) throw new Error('linkSessionId required');
+
+      const session = await DeviceLinkService.getLinkSession(socket.user.id, linkSessionId);
+      if (!session) throw new Error('Link session not found');
+
+      socket.join(`link:${session.id}`);
+      if (ack) ack({ success: true, linkSession: session });
+    } catch (err) {
+      if (ack) ack({ success: false, error: err.message });
+    }
+  });
+
+  socket.on('link:lookup', async (payload, ack) => {
+    try {
+      const { code } = payload || {};
+      if (!code) throw new Error('code required');
+
+      const request = await DeviceLinkService.describeLinkRequest({
+        userId: socket.user.id,
+        approverDeviceId: socket.user.deviceId,
+        code,
+      });
+      if (ack) ack({ success: true, request });
+    } catch (err) {
+      if (ack) ack({ success: false, error: err.message });
+    }
+  });
+
+  socket.on('link:approve', async (payload, ack) => {
     try {
       const userId = socket.user.id;
-      const { targetDeviceId, ephemeralPublicKey, encryptedPayload } = payload || {};
-      if (!targetDeviceId || !ephemeralPublicKey || !encryptedPayload) {
-        return;
+      const { code, ephemeralPublicKey, encryptedPayload } = payload || {};
+      if (!code || !ephemeralPublicKey || !encryptedPayload) {
+        throw new Error('code, ephemeralPublicKey and encryptedPayload required');
       }
-      const targetRoom = `device:${userId}:${targetDeviceId}`;
-      io.to(targetRoom).emit('provision:data', {
-        senderDeviceId: socket.user.deviceId,
+
+      const { session, device } = await DeviceLinkService.approveLinkSession({
+        userId,
+        approverDeviceId: socket.user.deviceId,
+        code,
         ephemeralPublicKey,
         encryptedPayload,
       });
+
+      io.to(`link:${session.id}`).emit('link:approved', { linkSessionId: session.id, deviceId: device.deviceId });
+      await notifyDeviceListChanged(io, userId, 'linked', device);
+
+      await DeviceService.announceNewDevice({
+        userId,
+        device,
+        actorDeviceId: socket.user.deviceId,
+        ip: socket.handshake.address,
+        userAgent: socket.handshake.headers['user-agent'],
+        metadata: { linkSessionId: session.id },
+      });
+
+      if (ack) ack({ success: true, linkSession: session });
     } catch (err) {
-      console.error('provision:send error', err);
+      if (ack) ack({ success: false, error: err.message });
+    }
+  });
+
+  socket.on('link:reject', async (payload, ack) => {
+    try {
+      const { code } = payload || {};
+      if (!code) throw new Error('code required');
+
+      const session = await DeviceLinkService.rejectLinkSession({
+        userId: socket.user.id,
+        approverDeviceId: socket.user.deviceId,
+        code,
+      });
+
+      io.to(`link:${session.id}`).emit('link:rejected', { linkSessionId: session.id });
+      if (ack) ack({ success: true });
+    } catch (err) {
+      if (ack) ack({ success: false, error: err.message });
     }
   });
 
@@ -298,4 +562,4 @@ function registerHandlers(io, socket) {
   });
 }
 
-module.exports = { attachSocket, onDisconnect, registerHandlers, userSockets };
\ No newline at end of file
+module.exports = { attachSocket, notifyConversationPeers, notifyDeviceListChanged, scheduleTokenExpiry, clearTokenExpiry, onDisconnect, disconnectUser, disconnectDevice, disconnectSessions, registerHandlers, userSockets };
\ No newline at end of file
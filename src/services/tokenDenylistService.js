@@ -0,0 +1,117 @@
+const Redis = require('ioredis');
+
+// Access token revocation list. Access tokens are short-lived JWTs, so entries only
+// need to outlive ACCESS_TOKEN_EXPIRES. Two kinds of entries:
+//   jti:<jti>                       -> one specific token
+//   user:<id> / device:<id>:<n> /
+//   sid:<sessionId>                 -> "revoked before" marker (unix ms); every token of
+//                                      that scope issued at or before it is dead
+// Redis-backed when REDIS_URL is set (shared across nodes), in-memory otherwise.
+
+const ACCESS_EXPIRES = Number(process.env.ACCESS_TOKEN_EXPIRES) || 300; // seconds
+const KEY_PREFIX = 'denylist:';
+
+let redis = null;
+if (process.env.REDIS_URL) {
+  redis = new Redis(process.env.REDIS_URL);
+  redis.on('error', (err) => console.error('Redis Denylist Client Error:', err));
+}
+
+// key -> { value, expiresAt(ms) }
+const memoryStore = new Map();
+
+function memoryGet(key) {
+  const entry = memoryStore.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+// drop expired in-memory entries so the map doesn't grow forever
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of memoryStore) {
+    if (entry.expiresAt <= now) memoryStore.delete(key);
+  }
+}, 60 * 1000).unref();
+
+async function setEntry(key, value, ttlSec) {
+  const ttl = Math.max(1, Math.ceil(ttlSec));
+  if (redis) {
+    await redis.set(KEY_PREFIX + key, String(value), 'EX', ttl);
+    return;
+  }
+  memoryStore.set(key, { value: String(value), expiresAt: Date.now() + ttl * 1000 });
+}
+
+async function getEntries(keys) {
+  if (keys.length === 0) return [];
+  if (redis) {
+    return redis.mget(keys.map(k => KEY_PREFIX + k));
+  }
+  return keys.map(memoryGet);
+}
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Revoke a single token until its own expiry
+async function revokeJti(jti, exp) {
+  if (!jti) return;
+  const ttl = exp ? exp - nowSec() : ACCESS_EXPIRES;
+  if (ttl <= 0) return;
+  await setEntry(`jti:${jti}`, 1, ttl);
+}
+
+async function revokeScope(scopeKey) {
+  await setEntry(scopeKey, Date.now(), ACCESS_EXPIRES);
+}
+
+async function revokeUser(userId) {
+  if (!userId) return;
+  await revokeScope(`user:${userId}`);
+}
+
+async function revokeDevice(userId, deviceId) {
+  if (!userId || !deviceId) return;
+  await revokeScope(`device:${userId}:${deviceId}`);
+}
+
+async function revokeSession(sessionId) {
+  if (!sessionId) return;
+  await revokeScope(`sid:${sessionId}`);
+}
+
+// Checks a verified access token payload against every applicable entry
+async function isRevoked(payload) {
+  if (!payload) return true;
+
+  const keys = [];
+  if (payload.jti) keys.push(`jti:${payload.jti}`);
+  if (payload.sub) keys.push(`user:${payload.sub}`);
+  if (payload.sub && payload.deviceId) keys.push(`device:${payload.sub}:${payload.deviceId}`);
+  if (payload.sid) keys.push(`sid:${payload.sid}`);
+
+  const values = await getEntries(keys);
+  return values.some((value, i) => {
+    if (value === null || value === undefined) return false;
+    if (keys[i].startsWith('jti:')) return true;
+    // scope markers: tokens issued at or before the marker are revoked. Compared in ms
+    // (iatMs claim) so a token issued in the same second right after the marker, e.g. by
+    // signing in again after a password change, stays valid.
+    const issuedAtMs = payload.iatMs || (payload.iat ? payload.iat * 1000 : null);
+    return !issuedAtMs || issuedAtMs <= Number(value);
+  });
+}
+
+module.exports = {
+  revokeJti,
+  revokeUser,
+  revokeDevice,
+  revokeSession,
+  isRevoked,
+};
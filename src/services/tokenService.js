@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const prisma = require('../db/prismaClient');
+const { recordSecurityEvent } = require('./securityEventService');
+const tokenDenylist = require('./tokenDenylistService');
 
 const ACCESS_EXPIRES = Number(process.env.ACCESS_TOKEN_EXPIRES) || 300; // seconds
 const REFRESH_EXPIRES = Number(process.env.REFRESH_TOKEN_EXPIRES) || 60 * 60 * 24 * 7; // seconds (7 days)
@@ -14,14 +16,32 @@ function TokenError(message) {
   return err;
 }
 
-function signAccessToken(user, deviceId = null) {
+// sessionId is the refresh token family id, so sockets can be tied to a session
+function signAccessToken(user, deviceId = null, sessionId = null) {
   const sub = user?.id ?? user;
   if (!sub) throw new Error('signAccessToken requires user id or user object with id');
-  const payload = { sub, deviceId };
-  const token = jwt.sign(payload, ACCESS_SECRET, { expiresIn: ACCESS_EXPIRES });
+  // iatMs: millisecond issue time, checked against revocation markers
+  const payload = { sub, deviceId, iatMs: Date.now() };
+  if (sessionId) payload.sid = sessionId;
+  const token = jwt.sign(payload, ACCESS_SECRET, { expiresIn: ACCESS_EXPIRES, jwtid: crypto.randomUUID() });
   return token;
 }
 
+// Throws jsonwebtoken errors (TokenExpiredError, JsonWebTokenError) on bad tokens
+function verifyAccessToken(token) {
+  return jwt.verify(token, ACCESS_SECRET);
+}
+
+// Verify signature only, for revoking a token that may already be expired (logout). Returns payload or null.
+function decodeAccessToken(token) {
+  if (!token) return null;
+  try {
+    return jwt.verify(token, ACCESS_SECRET, { ignoreExpiration: true });
+  } catch (e) {
+    return null;
+  }
+}
+
 function randomRefreshTokenPlain(len = 48) {
   return crypto.randomBytes(len).toString('base64url');
 }
@@ -29,15 +49,19 @@ function hashToken(token) {
   return crypto.createHash('sha256').update(token).digest('hex');
 }
 
+// Starts a new token family; the first token's id doubles as the family (session) id
 async function issueRefreshToken({ userId, userAgent = null, deviceId = null} = {}) {
   if (!userId) throw new Error('issueRefreshToken requires userId');
   const plain = randomRefreshTokenPlain(64);
   const tokenHash = hashToken(plain);
   const now = new Date();
   const expiresAt = new Date(now.getTime() + REFRESH_EXPIRES * 1000);
+  const id = crypto.randomUUID();
 
   const created = await prisma.refreshToken.create({
     data: {
+      id,
+      familyId: id,
       userId,
       tokenHash,
       expiresAt,
@@ -61,7 +85,7 @@ async function findTokenByHash(plainToken) {
 }
 
 
-async function rotateRefreshToken({ currentToken, userAgent = null, deviceId = null} = {}) {
+async function rotateRefreshToken({ currentToken, userAgent = null, deviceId = null, ip = null } = {}) {
   if (!currentToken) throw TokenError('No token provided');
 
   const tokenRecord = await findTokenByHash(currentToken);
@@ -71,11 +95,18 @@ async function rotateRefreshToken({ currentToken, userAgent = null, deviceId = n
     throw TokenError('Refresh token not found or already used');
   }
 
+  const familyId = familyOf(tokenRecord);
+
   if (tokenRecord.revoked) {
-    // suspicious reuse: revoke all tokens for user defensively
-    await prisma.refreshToken.updateMany({
-      where: { userId: tokenRecord.userId },
-      data: { revoked: true },
+    // suspicious reuse: the token was stolen or a client replayed it — kill only this family
+    await revokeFamily(tokenRecord.userId, familyId);
+    await recordSecurityEvent({
+      userId: tokenRecord.userId,
+      type: 'REFRESH_TOKEN_REUSE',
+      deviceId: tokenRecord.deviceId,
+      userAgent,
+      ip,
+      metadata: { familyId, reason: 'revoked token presented' },
     });
     throw TokenError('Refresh token revoked');
   }
@@ -94,9 +125,10 @@ async function rotateRefreshToken({ currentToken, userAgent = null, deviceId = n
   const created = await prisma.refreshToken.create({
     data: {
       userId: tokenRecord.userId,
+      familyId,
       tokenHash: newHash,
       expiresAt: newExpiresAt,
-      userAgent,
+      userAgent: userAgent || tokenRecord.userAgent,
       deviceId: deviceId || tokenRecord.deviceId,
     },
   });
@@ -116,18 +148,23 @@ async function rotateRefreshToken({ currentToken, userAgent = null, deviceId = n
       // ignore cleanup errors but log in real app
       console.error('Cleanup failed for created token after concurrent reuse', e);
     }
-    // defensive: revoke all tokens for the user
-    await prisma.refreshToken.updateMany({
-      where: { userId: tokenRecord.userId },
-      data: { revoked: true },
+    // defensive: revoke the whole family, other devices stay signed in
+    await revokeFamily(tokenRecord.userId, familyId);
+    await recordSecurityEvent({
+      userId: tokenRecord.userId,
+      type: 'REFRESH_TOKEN_REUSE',
+      deviceId: tokenRecord.deviceId,
+      userAgent,
+      ip,
+      metadata: { familyId, reason: 'concurrent rotation' },
     });
     throw TokenError('Refresh token reuse detected');
   }
 
   // issue access token
-  const accessToken = signAccessToken(tokenRecord.userId, tokenRecord.deviceId);
+  const accessToken = signAccessToken(tokenRecord.userId, created.deviceId, familyId);
 
-  return { accessToken, refreshToken: newRefreshPlain  };
+  return { accessToken, refreshToken: newRefreshPlain, sessionId: familyId };
 }
 
 async function revokeRefreshToken({ currentToken }) {
@@ -137,6 +174,117 @@ async function revokeRefreshToken({ currentToken }) {
   return prisma.refreshToken.update({ where: { id: tokenRecord.id }, data: { revoked: true, lastUsedAt: new Date() } });
 }
 
+// Group the user's refresh tokens into logical sessions. Every token carries the
+// familyId of the login/device registration that started it, inherited on rotation;
+// tokens from before families existed count as a family of their own.
+function familyOf(token) {
+  return token.familyId || token.id;
+}
+
+async function loadSessionFamilies(userId) {
+  const tokens = await prisma.refreshToken.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const families = new Map();
+  for (const t of tokens) {
+    const id = familyOf(t);
+    const family = families.get(id) || { id, root: t, head: t, tokenIds: [] };
+    family.head = t; // ordered by createdAt, so the last one seen is the newest
+    family.tokenIds.push(t.id);
+    families.set(id, family);
+  }
+  return [...families.values()];
+}
+
+function isFamilyActive(family, now = new Date()) {
+  return !family.head.revoked && family.head.expiresAt > now;
+}
+
+// Find the family the caller is using, from the access token's sid or the refresh cookie
+async function findCurrentFamily(families, { sessionId = null, currentToken = null } = {}) {
+  let key = sessionId;
+  if (!key && currentToken) {
+    const record = await findTokenByHash(currentToken);
+    key = record ? familyOf(record) : null;
+  }
+  if (!key) return null;
+  return families.find(f => f.id === key || f.tokenIds.includes(key)) || null;
+}
+
+// The session (refresh token family) a browser's auth cookies belong to, or null
+async function resolveSessionId({ accessToken = null, refreshToken = null } = {}) {
+  const payload = decodeAccessToken(accessToken);
+  if (payload && payload.sid) return payload.sid;
+  const record = await findTokenByHash(refreshToken);
+  return record ? familyOf(record) : null;
+}
+
+async function listSessions(userId, { sessionId = null, currentToken = null } = {}) {
+  const families = await loadSessionFamilies(userId);
+  const current = await findCurrentFamily(families, { sessionId, currentToken });
+
+  return families
+    .filter(f => isFamilyActive(f))
+    .map(f => ({
+      id: f.id,
+      current: !!current && current.id === f.id,
+      deviceId: f.head.deviceId ? parseInt(f.head.deviceId) : null,
+      userAgent: f.head.userAgent,
+      createdAt: f.root.createdAt,
+      lastActiveAt: f.head.lastUsedAt && f.head.lastUsedAt > f.head.createdAt ? f.head.lastUsedAt : f.head.createdAt,
+      expiresAt: f.head.expiresAt,
+    }))
+    .sort((a, b) => b.lastActiveAt - a.lastActiveAt);
+}
+
+// Revoke every token of one family (legacy tokens without a familyId are their own family)
+// and deny the access tokens already handed out for it.
+async function revokeFamily(userId, familyId) {
+  const result = await prisma.refreshToken.updateMany({
+    where: { userId, revoked: false, OR: [{ familyId }, { id: familyId, familyId: null }] },
+    data: { revoked: true },
+  });
+  await tokenDenylist.revokeSession(familyId);
+  return result;
+}
+
+// Revoke one session. Returns { revokedTokenIds, wasCurrent } or null if the session is unknown.
+async function revokeSession(userId, id, { sessionId = null, currentToken = null } = {}) {
+  const families = await loadSessionFamilies(userId);
+  const family = families.find(f => f.id === id && isFamilyActive(f));
+  if (!family) return null;
+
+  await revokeFamily(userId, family.id);
+
+  const current = await findCurrentFamily(families, { sessionId, currentToken });
+  return { revokedTokenIds: [...new Set([family.id, ...family.tokenIds])], wasCurrent: !!current && current.id === family.id };
+}
+
+// Revoke every session except the caller's. Returns the token ids of all revoked families.
+async function revokeOtherSessions(userId, { sessionId = null, currentToken = null } = {}) {
+  const families = await loadSessionFamilies(userId);
+  const current = await findCurrentFamily(families, { sessionId, currentToken });
+  if (!current) throw TokenError('Current session not found');
+
+  const others = families.filter(f => f.id !== current.id && isFamilyActive(f));
+  for (const f of others) {
+    await revokeFamily(userId, f.id);
+  }
+  return { revokedSessions: others.length, revokedTokenIds: [...new Set(others.flatMap(f => [f.id, ...f.tokenIds]))] };
+}
+
+async function revokeAllUserTokens(userId) {
+  if (!userId) throw new Error('revokeAllUserTokens requires userId');
+  const result = await prisma.refreshToken.updateMany({
+    where: { userId, revoked: false },
+    data: { revoked: true },
+  });
+  await tokenDenylist.revokeUser(userId);
+  return result;
+}
+
 
 async function pruneExpiredTokens({ revokeOnlyOlderThanDays = 30 } = {}) {
   const now = new Date();
@@ -172,8 +320,15 @@ async function pruneExpiredTokens({ revokeOnlyOlderThanDays = 30 } = {}) {
 
 module.exports = {
   signAccessToken,
+  verifyAccessToken,
+  decodeAccessToken,
   issueRefreshToken,
   rotateRefreshToken,
   revokeRefreshToken,
+  revokeAllUserTokens,
+  resolveSessionId,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
   pruneExpiredTokens,
 };
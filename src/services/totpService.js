@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const prisma = require('../db/prismaClient');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Vault Relay';
+const BACKUP_CODE_COUNT = 10;
+
+function TotpError(message) {
+  const err = new Error(message);
+  err.name = 'TotpError';
+  return err;
+}
+
+function hashBackupCode(code) {
+  return crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+}
+
+function normalizeBackupCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// 10 hex chars shown as xxxxx-xxxxx
+function generateBackupCodes() {
+  return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+async function replaceBackupCodes(tx, userId) {
+  const codes = generateBackupCodes();
+  await tx.totpBackupCode.deleteMany({ where: { userId } });
+  await tx.totpBackupCode.createMany({
+    data: codes.map(code => ({ userId, codeHash: hashBackupCode(code) })),
+  });
+  return codes;
+}
+
+// Start (or restart) enrollment. The secret is stored but inactive until confirmEnrollment.
+async function beginEnrollment(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { email: true, totpEnabled: true } });
+  if (!user) throw TotpError('User not found');
+  if (user.totpEnabled) throw TotpError('Two-factor authentication is already enabled');
+
+  const secret = generateSecret();
+  await prisma.user.update({
+    where: { id: userId },
+    data: { totpSecret: secret, totpLastUsedStep: null },
+  });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER }),
+  };
+}
+
+async function confirmEnrollment(userId, code) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { totpSecret: true, totpEnabled: true },
+  });
+  if (!user) throw TotpError('User not found');
+  if (user.totpEnabled) throw TotpError('Two-factor authentication is already enabled');
+  if (!user.totpSecret) throw TotpError('Start enrollment first');
+
+  const step = verifyTotp(user.totpSecret, code);
+  if (step === null) throw TotpError('Invalid authentication code');
+
+  return prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: userId },
+      data: { totpEnabled: true, totpLastUsedStep: step },
+    });
+    return replaceBackupCodes(tx, userId);
+  });
+}
+
+// Accepts either a current TOTP code or an unused backup code. Returns the method used, or null.
+async function verifySecondFactor(userId, code) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { totpSecret: true, totpEnabled: true, totpLastUsedStep: true },
+  });
+  if (!user || !user.totpEnabled || !user.totpSecret) return null;
+
+  const step = verifyTotp(user.totpSecret, code, { lastUsedStep: user.totpLastUsedStep });
+  if (step !== null) {
+    // conditional update so the same code can't be accepted twice by concurrent requests
+    const result = await prisma.user.updateMany({
+      where: {
+        id: userId,
+        OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }],
+      },
+      data: { totpLastUsedStep: step },
+    });
+    return result.count > 0 ? 'totp' : null;
+  }
+
+  if (!normalizeBackupCode(code)) return null;
+  const result = await prisma.totpBackupCode.updateMany({
+    where: { userId, codeHash: hashBackupCode(code), usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  return result.count > 0 ? 'backup_code' : null;
+}
+
+async function regenerateBackupCodes(userId, code) {
+  const method = await verifySecondFactor(userId, code);
+  if (!method) throw TotpError('Invalid authentication code');
+  return prisma.$transaction(async (tx) => replaceBackupCodes(tx, userId));
+}
+
+async function disable(userId, code) {
+  const method = await verifySecondFactor(userId, code);
+  if (!method) throw TotpError('Invalid authentication code');
+
+  await prisma.$transaction([
+    prisma.totpBackupCode.deleteMany({ where: { userId } }),
+    prisma.user.update({
+      where: { id: userId },
+      data: { totpEnabled: false, totpSecret: null, totpLastUsedStep: null },
+    }),
+  ]);
+}
+
+async function getStatus(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { totpEnabled: true } });
+  const remainingBackupCodes = user?.totpEnabled
+    ? await prisma.totpBackupCode.count({ where: { userId, usedAt: null } })
+    : 0;
+  return { enabled: !!user?.totpEnabled, remainingBackupCodes };
+}
+
+module.exports = {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disable,
+  getStatus,
+};
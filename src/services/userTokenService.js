@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const prisma = require('../db/prismaClient');
+
+// Single-use, expiring tokens that are delivered out of band (email links).
+// Only the sha256 hash is stored, the plaintext leaves the server once.
+
+function UserTokenError(message) {
+  const err = new Error(message);
+  err.name = 'UserTokenError';
+  return err;
+}
+
+function hashUserToken(plain) {
+  return crypto.createHash('sha256').update(String(plain)).digest('hex');
+}
+
+// Issue a new token of `type`, invalidating any still-unused tokens of the same type.
+async function issueUserToken({ userId, type, ttlSec }) {
+  if (!userId || !type || !ttlSec) throw new Error('issueUserToken requires userId, type and ttlSec');
+
+  const plain = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + ttlSec * 1000);
+
+  const [, created] = await prisma.$transaction([
+    prisma.userToken.deleteMany({ where: { userId, type, usedAt: null } }),
+    prisma.userToken.create({
+      data: { userId, type, tokenHash: hashUserToken(plain), expiresAt },
+    }),
+  ]);
+
+  return { created, plain };
+}
+
+// Atomically mark the token used. Throws UserTokenError if it is unknown, expired or already used.
+async function consumeUserToken({ plain, type }) {
+  const record = await findActiveUserToken({ plain, type });
+
+  // conditional update so two concurrent requests cannot both consume the token
+  const result = await prisma.userToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  if (result.count === 0) throw UserTokenError('Invalid or expired token');
+
+  return record;
+}
+
+// Look up a live token without consuming it (for flows that may take several attempts).
+async function findActiveUserToken({ plain, type }) {
+  if (!plain) throw UserTokenError('Token required');
+
+  const record = await prisma.userToken.findUnique({ where: { tokenHash: hashUserToken(plain) } });
+  if (!record || record.type !== type) throw UserTokenError('Invalid or expired token');
+  if (record.usedAt || record.expiresAt < new Date()) throw UserTokenError('Invalid or expired token');
+
+  return record;
+}
+
+// Count an attempt before the caller checks it, so parallel requests can't make more than
+// maxAttempts guesses between them. Returns false once the token is used up or exhausted.
+async function claimAttempt(record, maxAttempts) {
+  const result = await prisma.userToken.updateMany({
+    where: { id: record.id, usedAt: null, attempts: { lt: maxAttempts } },
+    data: { attempts: { increment: 1 } },
+  });
+  return result.count === 1;
+}
+
+// After a claimed attempt failed; the token is burned once maxAttempts is reached.
+async function recordFailedAttempt(record, maxAttempts) {
+  const { attempts } = await prisma.userToken.findUnique({
+    where: { id: record.id },
+    select: { attempts: true },
+  });
+  if (attempts >= maxAttempts) {
+    await prisma.userToken.updateMany({ where: { id: record.id, usedAt: null }, data: { usedAt: new Date() } });
+    return { exhausted: true };
+  }
+  return { exhausted: false, remaining: maxAttempts - attempts };
+}
+
+async function latestUserToken({ userId, type }) {
+  return prisma.userToken.findFirst({
+    where: { userId, type },
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+async function pruneUserTokens() {
+  const result = await prisma.userToken.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lt: new Date() } },
+        { usedAt: { not: null } },
+      ],
+    },
+  });
+  return result.count;
+}
+
+module.exports = {
+  issueUserToken,
+  consumeUserToken,
+  findActiveUserToken,
+  claimAttempt,
+  recordFailedAttempt,
+  latestUserToken,
+  pruneUserTokens,
+};
@@ -0,0 +1,280 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} = require('@simplewebauthn/server');
+const prisma = require('../db/prismaClient');
+const mailService = require('./mailService');
+const { recordSecurityEvent } = require('./securityEventService');
+
+// Passkeys (WebAuthn platform authenticators) for passwordless login.
+// Challenges are stored server-side and are single-use; we ask for attestation 'none'
+// since we don't pin authenticator models, only the credential's public key matters.
+
+const APP_URL = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || 'Vault Relay';
+const RP_ID = process.env.WEBAUTHN_RP_ID || new URL(APP_URL).hostname;
+const EXPECTED_ORIGINS = (process.env.WEBAUTHN_ORIGIN || APP_URL).split(',').map(o => o.trim()).filter(Boolean);
+const CHALLENGE_EXPIRES_SEC = Number(process.env.WEBAUTHN_CHALLENGE_EXPIRES || 5 * 60);
+const MAX_CREDENTIALS_PER_USER = 10;
+
+function WebAuthnError(message, status = 400) {
+  const err = new Error(message);
+  err.name = 'WebAuthnError';
+  err.status = status;
+  return err;
+}
+
+async function storeChallenge({ userId = null, type, challenge }) {
+  await prisma.webAuthnChallenge.create({
+    data: {
+      userId,
+      type,
+      challenge,
+      expiresAt: new Date(Date.now() + CHALLENGE_EXPIRES_SEC * 1000),
+    },
+  });
+}
+
+// Handed to the verifier as `expectedChallenge`: accepts the challenge from clientDataJSON
+// only if we issued it and it hasn't been used, and burns it either way.
+function challengeConsumer({ userId = null, type }) {
+  return async (challenge) => {
+    const result = await prisma.webAuthnChallenge.deleteMany({
+      where: { challenge, type, userId, expiresAt: { gt: new Date() } },
+    });
+    return result.count > 0;
+  };
+}
+
+function toPublicCredential(c) {
+  return {
+    id: c.id,
+    name: c.name,
+    deviceType: c.deviceType,
+    backedUp: c.backedUp,
+    transports: c.transports,
+    createdAt: c.createdAt,
+    lastUsedAt: c.lastUsedAt,
+  };
+}
+
+async function registrationOptions(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, displayName: true, webauthnCredentials: { select: { credentialId: true, transports: true } } },
+  });
+  if (!user) throw WebAuthnError('User not found', 404);
+  if (user.webauthnCredentials.length >= MAX_CREDENTIALS_PER_USER) {
+    throw WebAuthnError('Passkey limit reached, remove one first');
+  }
+
+  const options = await generateRegistrationOptions({
+    rpName: RP_NAME,
+    rpID: RP_ID,
+    userName: user.email,
+    userDisplayName: user.displayName || user.email,
+    userID: Buffer.from(user.id, 'utf8'),
+    attestationType: 'none',
+    excludeCredentials: user.webauthnCredentials.map(c => ({ id: c.credentialId, transports: c.transports })),
+    authenticatorSelection: {
+      authenticatorAttachment: 'platform',
+      residentKey: 'required',
+      userVerification: 'required',
+    },
+  });
+
+  await storeChallenge({ userId, type: 'REGISTRATION', challenge: options.challenge });
+  return options;
+}
+
+// Security log entry plus an email alert: a passkey signs in without password or 2FA,
+// so the owner must hear about every new one.
+async function announceNewCredential({ userId, credential, deviceId, ip, userAgent }) {
+  await recordSecurityEvent({
+    userId,
+    type: 'PASSKEY_ADDED',
+    deviceId,
+    ip,
+    userAgent,
+    metadata: { credentialId: credential.id, name: credential.name },
+  });
+
+  try {
+    const owner = await prisma.user.findUnique({ where: { id: userId }, select: { email: true } });
+    await mailService.sendTemplate(owner.email, 'passkeyAdded', {
+      name: credential.name,
+      ip,
+      userAgent,
+      when: credential.createdAt,
+    });
+  } catch (mailErr) {
+    console.error('Failed to send passkey alert', mailErr);
+  }
+}
+
+async function verifyRegistration(userId, response, { name = null, deviceId = null, ip = null, userAgent = null } = {}) {
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challengeConsumer({ userId, type: 'REGISTRATION' }),
+      expectedOrigin: EXPECTED_ORIGINS,
+      expectedRPID: RP_ID,
+      requireUserVerification: true,
+    });
+  } catch (err) {
+    throw WebAuthnError(`Passkey registration failed: ${err.message}`);
+  }
+  if (!verification.verified) throw WebAuthnError('Passkey registration failed');
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+  let created;
+  try {
+    created = await prisma.webAuthnCredential.create({
+      data: {
+        userId,
+        credentialId: credential.id,
+        publicKey: Buffer.from(credential.publicKey),
+        counter: BigInt(credential.counter),
+        transports: credential.transports || [],
+        deviceType: credentialDeviceType,
+        backedUp: credentialBackedUp,
+        name,
+      },
+    });
+  } catch (err) {
+    if (err && err.code === 'P2002') throw WebAuthnError('Passkey already registered', 409);
+    throw err;
+  }
+
+  const publicCredential = toPublicCredential(created);
+  await announceNewCredential({ userId, credential: publicCredential, deviceId, ip, userAgent });
+  return publicCredential;
+}
+
+async function authenticationOptions() {
+  // discoverable credentials only: no allowCredentials, so nothing here reveals whether an account exists
+  const options = await generateAuthenticationOptions({
+    rpID: RP_ID,
+    userVerification: 'required',
+  });
+  await storeChallenge({ type: 'AUTHENTICATION', challenge: options.challenge });
+  return options;
+}
+
+// Verifies an assertion and returns the userId it proves. Every failure is the same
+// 401 to the caller; counter regressions are additionally logged as possible cloning.
+async function verifyAuthentication(response, { ip = null, userAgent = null } = {}) {
+  const credentialId = response && typeof response.id === 'string' ? response.id : null;
+  if (!credentialId) throw WebAuthnError('Passkey sign-in failed', 401);
+
+  const stored = await prisma.webAuthnCredential.findUnique({ where: { credentialId } });
+  if (!stored) throw WebAuthnError('Passkey sign-in failed', 401);
+
+  // the user handle we set at registration is the user id; if the authenticator sends it, it must match
+  const userHandle = response.response && response.response.userHandle;
+  if (userHandle && Buffer.from(userHandle, 'base64url').toString('utf8') !== stored.userId) {
+    throw WebAuthnError('Passkey sign-in failed', 401);
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challengeConsumer({ type: 'AUTHENTICATION' }),
+      expectedOrigin: EXPECTED_ORIGINS,
+      expectedRPID: RP_ID,
+      // counter is checked below against the stored value so a regression can be told apart
+      credential: {
+        id: stored.credentialId,
+        publicKey: new Uint8Array(stored.publicKey),
+        counter: 0,
+        transports: stored.transports,
+      },
+      requireUserVerification: true,
+    });
+  } catch (err) {
+    throw WebAuthnError('Passkey sign-in failed', 401);
+  }
+  if (!verification.verified) throw WebAuthnError('Passkey sign-in failed', 401);
+
+  const { newCounter, credentialDeviceType, credentialBackedUp } = verification.authenticationInfo;
+  const oldCounter = stored.counter;
+  const next = BigInt(newCounter);
+
+  // authenticators that don't implement a counter always report 0
+  if ((oldCounter > 0n || next > 0n) && next <= oldCounter) {
+    await recordSecurityEvent({
+      userId: stored.userId,
+      type: 'WEBAUTHN_COUNTER_REGRESSION',
+      ip,
+      userAgent,
+      metadata: { credentialId: stored.id, storedCounter: String(oldCounter), receivedCounter: String(next) },
+    });
+    throw WebAuthnError('Passkey sign-in failed', 401);
+  }
+
+  // conditional on the counter we read so two concurrent assertions can't both pass
+  const updated = await prisma.webAuthnCredential.updateMany({
+    where: { id: stored.id, counter: oldCounter },
+    data: {
+      counter: next,
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      lastUsedAt: new Date(),
+    },
+  });
+  if (updated.count === 0) throw WebAuthnError('Passkey sign-in failed', 401);
+
+  return { userId: stored.userId, credentialId: stored.id };
+}
+
+async function listCredentials(userId) {
+  const credentials = await prisma.webAuthnCredential.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'asc' },
+  });
+  return credentials.map(toPublicCredential);
+}
+
+async function deleteCredential(userId, id, { deviceId = null, ip = null, userAgent = null } = {}) {
+  const credential = await prisma.webAuthnCredential.findFirst({ where: { id, userId }, select: { id: true, name: true } });
+  if (!credential) return false;
+  const result = await prisma.webAuthnCredential.deleteMany({ where: { id, userId } });
+  if (result.count === 0) return false;
+
+  await recordSecurityEvent({
+    userId,
+    type: 'PASSKEY_REMOVED',
+    deviceId,
+    ip,
+    userAgent,
+    metadata: { credentialId: credential.id, name: credential.name },
+  });
+  return true;
+}
+
+// Returns how many passkeys were removed
+async function deleteAllCredentials(userId) {
+  const result = await prisma.webAuthnCredential.deleteMany({ where: { userId } });
+  return result.count;
+}
+
+async function pruneExpiredChallenges() {
+  const result = await prisma.webAuthnChallenge.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+  return result.count;
+}
+
+module.exports = {
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyAuthentication,
+  listCredentials,
+  deleteCredential,
+  deleteAllCredentials,
+  pruneExpiredChallenges,
+};
@@ -1,9 +1,11 @@
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
+const tokenService = require('./services/tokenService');
 const createAdapter = require('@socket.io/redis-adapter');
 const Redis = require('ioredis');
 const SocketService = require('./services/socketService');
 const { RateLimiterMemory } = require('rate-limiter-flexible');
+const { extractBearerToken } = require('./utils/tokenTransport');
+const tokenDenylist = require('./services/tokenDenylistService');
 
 const rateLimiter = new RateLimiterMemory({
     points: 10,
@@ -37,11 +39,12 @@ function initializeSocketServer(httpServer) {
 
     io.use(async (socket, next) => {
         try {
-            // Try reading token from cookie (new secure standard)
-            let token = null;
+            // Native/CLI clients pass the access token in the handshake auth payload or an
+            // Authorization: Bearer header; browsers fall back to the accessToken cookie
+            let token = socket.handshake.auth?.token || extractBearerToken(socket.handshake);
             const cookieString = socket.handshake.headers?.cookie;
 
-            if (cookieString) {
+            if (!token && cookieString) {
                 // Manually parse since cookie-parser middleware doesn't run on raw sockets
                 const cookies = Object.fromEntries(
                     cookieString.split('; ').map(c => c.split('='))
@@ -53,9 +56,13 @@ function initializeSocketServer(httpServer) {
                 return next(new Error('Authentication error: Token missing'));
             }
 
-            const ACCESS_SECRET = process.env.JWT_ACCESS_SECRET;
+            const payload = tokenService.verifyAccessToken(token);
 
-            const payload = jwt.verify(token, ACCESS_SECRET);
+            if (await tokenDenylist.isRevoked(payload)) {
+                const error = new Error('Authentication error: Token revoked');
+                error.data = { code: 'TOKEN_REVOKED' };
+                return next(error);
+            }
 
             socket.user = { id: payload.sub, ...payload };
 
@@ -88,7 +95,10 @@ function initializeSocketServer(httpServer) {
 
         SocketService.registerHandlers(io, socket);
 
+        SocketService.scheduleTokenExpiry(socket);
+
         socket.on('disconnect', (reason) => {
+            SocketService.clearTokenExpiry(socket);
             SocketService.onDisconnect(io, socket, reason).catch((err) => {
                 console.error('Error in onDisconnect:', err);
             });
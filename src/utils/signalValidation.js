@@ -1,3 +1,5 @@
+const { verifyXEdDSA } = require('./xeddsa');
+
 function validateSignalPayload(content, contentType) {
   const allowedTypes = ['SIGNAL_ENCRYPTED', 'SIGNAL_KEY_DISTRIBUTION', 'SIGNAL_REACTION'];
   
@@ -67,6 +69,140 @@ function validateSignalPayload(content, contentType) {
   }
 }
 
+// Serialized libsignal public keys: a one-byte key type followed by the raw key
+const DJB_KEY_TYPE = 0x05; // Curve25519
+const DJB_KEY_LENGTH = 33;
+const KEM_KEY_LENGTHS = { 0x08: 1569 }; // Kyber1024 (type byte + 1568)
+const SIGNATURE_LENGTH = 64;
+const MAX_KEY_ID = 2 ** 31 - 1;
+const MAX_REGISTRATION_ID = 16383; // 14 bits
+// per pool: oneTimePreKeys and oneTimeKyberPreKeys
+const MAX_ONE_TIME_PREKEYS_PER_UPLOAD = Number(process.env.MAX_ONE_TIME_PREKEYS_PER_UPLOAD || 200);
+
+// `key` names the offending key in the upload (e.g. 'signedPreKey', 'oneTimePreKeys[3]'),
+// `field` the part of it that failed and `reason` a stable code for clients
+function KeyUploadError(key, field, reason, message) {
+  const err = new Error(message);
+  err.name = 'KeyUploadError';
+  err.status = 400;
+  err.key = key;
+  err.field = field;
+  err.reason = reason;
+  return err;
+}
+
+// Canonical padded Base64 only, so one key has exactly one accepted encoding
+function decodeBase64Strict(value, key, field) {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw KeyUploadError(key, field, 'MISSING', `${key}.${field} is required`);
+  }
+  const decoded = Buffer.from(value, 'base64');
+  if (value.length % 4 !== 0 || !/^[A-Za-z0-9+/]*={0,2}$/.test(value) || decoded.toString('base64') !== value) {
+    throw KeyUploadError(key, field, 'INVALID_ENCODING', `${key}.${field} must be canonical Base64`);
+  }
+  return decoded;
+}
+
+function checkInteger(value, key, field, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw KeyUploadError(key, field, 'OUT_OF_RANGE', `${key}.${field} must be an integer between ${min} and ${max}`);
+  }
+}
+
+function decodeDjbKey(value, key, field = 'publicKey') {
+  const bytes = decodeBase64Strict(value, key, field);
+  if (bytes.length !== DJB_KEY_LENGTH) {
+    throw KeyUploadError(key, field, 'INVALID_LENGTH', `${key}.${field} must be ${DJB_KEY_LENGTH} bytes`);
+  }
+  if (bytes[0] !== DJB_KEY_TYPE) {
+    throw KeyUploadError(key, field, 'INVALID_TYPE', `${key}.${field} must be a Curve25519 key`);
+  }
+  return bytes;
+}
+
+function decodeKemKey(value, key, field = 'publicKey') {
+  const bytes = decodeBase64Strict(value, key, field);
+  const expected = KEM_KEY_LENGTHS[bytes[0]];
+  if (!expected) {
+    throw KeyUploadError(key, field, 'INVALID_TYPE', `${key}.${field} must be a Kyber1024 key`);
+  }
+  if (bytes.length !== expected) {
+    throw KeyUploadError(key, field, 'INVALID_LENGTH', `${key}.${field} must be ${expected} bytes`);
+  }
+  return bytes;
+}
+
+// Signed and Kyber prekeys: { keyId, publicKey, signature }, where signature is the
+// identity key's XEdDSA signature over the serialized public key
+function checkSignedKey(value, key, decodePublicKey, identityBytes) {
+  if (!value || typeof value !== 'object') {
+    throw KeyUploadError(key, null, 'MISSING', `${key} must be an object`);
+  }
+  checkInteger(value.keyId, key, 'keyId', 0, MAX_KEY_ID);
+  const publicKey = decodePublicKey(value.publicKey, key);
+  const signature = decodeBase64Strict(value.signature, key, 'signature');
+  if (signature.length !== SIGNATURE_LENGTH) {
+    throw KeyUploadError(key, 'signature', 'INVALID_LENGTH', `${key}.signature must be ${SIGNATURE_LENGTH} bytes`);
+  }
+  if (!identityBytes) {
+    throw KeyUploadError('identityKey', null, 'MISSING', `An identity key is required to verify ${key}`);
+  }
+  if (!verifyXEdDSA(identityBytes.subarray(1), publicKey, signature)) {
+    throw KeyUploadError(key, 'signature', 'INVALID_SIGNATURE', `${key}.signature does not verify against the identity key`);
+  }
+}
+
+// One-time key pools: an array of keys with distinct keyIds, each checked by `checkItem`
+function checkKeyBatch(list, name, checkItem) {
+  if (!Array.isArray(list)) {
+    throw KeyUploadError(name, null, 'INVALID_TYPE', `${name} must be an array`);
+  }
+  if (list.length > MAX_ONE_TIME_PREKEYS_PER_UPLOAD) {
+    throw KeyUploadError(name, null, 'TOO_MANY', `At most ${MAX_ONE_TIME_PREKEYS_PER_UPLOAD} ${name} per upload`);
+  }
+  const seen = new Set();
+  list.forEach((k, i) => {
+    const key = `${name}[${i}]`;
+    if (!k || typeof k !== 'object') throw KeyUploadError(key, null, 'MISSING', `${key} must be an object`);
+    checkInteger(k.keyId, key, 'keyId', 0, MAX_KEY_ID);
+    if (seen.has(k.keyId)) throw KeyUploadError(key, 'keyId', 'DUPLICATE', `${key}.keyId is repeated in the upload`);
+    seen.add(k.keyId);
+    checkItem(k, key);
+  });
+}
+
+// Validates a POST /keys body. `storedIdentityKey` is the device's current identity key
+// (Base64), used to verify prekeys uploaded without one. Throws KeyUploadError.
+function validateKeyUpload(upload, { storedIdentityKey = null } = {}) {
+  const { registrationId, identityKey, signedPreKey, kyberPreKey, oneTimePreKeys, oneTimeKyberPreKeys } = upload || {};
+
+  let identityBytes = null;
+  if (identityKey !== undefined) {
+    identityBytes = decodeDjbKey(identityKey, 'identityKey', 'publicKey');
+    checkInteger(registrationId, 'identityKey', 'registrationId', 1, MAX_REGISTRATION_ID);
+
+    // prekeys signed by the old identity would no longer verify
+    if (storedIdentityKey && storedIdentityKey !== identityKey) {
+      if (!signedPreKey) throw KeyUploadError('signedPreKey', null, 'MISSING', 'A new identity key needs a new signedPreKey');
+      if (!kyberPreKey) throw KeyUploadError('kyberPreKey', null, 'MISSING', 'A new identity key needs a new kyberPreKey');
+    }
+  } else if (storedIdentityKey) {
+    identityBytes = Buffer.from(storedIdentityKey, 'base64');
+  }
+
+  if (signedPreKey !== undefined) checkSignedKey(signedPreKey, 'signedPreKey', decodeDjbKey, identityBytes);
+  if (kyberPreKey !== undefined) checkSignedKey(kyberPreKey, 'kyberPreKey', decodeKemKey, identityBytes);
+
+  if (oneTimePreKeys !== undefined) {
+    checkKeyBatch(oneTimePreKeys, 'oneTimePreKeys', (k, key) => decodeDjbKey(k.publicKey, key));
+  }
+  if (oneTimeKyberPreKeys !== undefined) {
+    checkKeyBatch(oneTimeKyberPreKeys, 'oneTimeKyberPreKeys', (k, key) => checkSignedKey(k, key, decodeKemKey, identityBytes));
+  }
+}
+
 module.exports = {
+  KeyUploadError,
   validateSignalPayload,
+  validateKeyUpload,
 };
\ No newline at end of file
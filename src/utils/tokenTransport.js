@@ -0,0 +1,24 @@
+// src/utils/tokenTransport.js
+// Browser clients get tokens as httpOnly cookies. Native and CLI clients send
+// `Authorization: Bearer <accessToken>` and opt into JSON-body tokens with the
+// `X-Token-Transport: body` request header.
+
+const ACCESS_EXPIRES_SEC = Number(process.env.ACCESS_TOKEN_EXPIRES || 300);
+
+function extractBearerToken(req) {
+  const header = req && req.headers && req.headers.authorization;
+  if (!header || typeof header !== 'string') return null;
+  const [scheme, token] = header.split(' ');
+  if (!/^Bearer$/i.test(scheme) || !token) return null;
+  return token.trim();
+}
+
+function wantsBodyTokens(req) {
+  return String(req.get('x-token-transport') || '').toLowerCase() === 'body';
+}
+
+function bodyTokens({ accessToken, refreshToken }) {
+  return { accessToken, refreshToken, tokenType: 'Bearer', expiresIn: ACCESS_EXPIRES_SEC };
+}
+
+module.exports = { extractBearerToken, wantsBodyTokens, bodyTokens };
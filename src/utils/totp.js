@@ -0,0 +1,89 @@
+// src/utils/totp.js
+// RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30s step) plus the RFC 4648 base32 codec used by authenticator apps.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SEC = 30;
+const DIGITS = 6;
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/=+$/g, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+function hotp(secret, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SEC);
+}
+
+// Returns the matching time step, or null. Steps <= lastUsedStep are rejected so a code can't be replayed.
+function verifyTotp(secret, code, { window = 1, lastUsedStep = null, now = Date.now() } = {}) {
+  const candidate = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const step = currentStep(now);
+  for (let i = -window; i <= window; i++) {
+    const s = step + i;
+    if (lastUsedStep !== null && s <= lastUsedStep) continue;
+    const expected = hotp(secret, s);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return s;
+    }
+  }
+  return null;
+}
+
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SEC),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = { generateSecret, verifyTotp, buildOtpauthUri, base32Encode, base32Decode };
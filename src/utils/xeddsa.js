@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+// XEdDSA signature verification (https://signal.org/docs/specifications/xeddsa/) as used by
+// libsignal: identity keys are Curve25519 (Montgomery) keys, signatures are Ed25519 ones
+// made with the birationally equivalent Edwards key. libsignal keeps the sign bit of that
+// Edwards key in the top bit of the signature's last byte.
+
+const P = 2n ** 255n - 19n;
+
+function bytesToBigInt(bytes) {
+  let n = 0n;
+  for (let i = bytes.length - 1; i >= 0; i--) n = (n << 8n) + BigInt(bytes[i]);
+  return n;
+}
+
+function bigIntToBytes(n, length) {
+  const out = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    out[i] = Number(n & 0xffn);
+    n >>= 8n;
+  }
+  return out;
+}
+
+function modPow(base, exp, mod) {
+  let result = 1n;
+  base %= mod;
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % mod;
+    base = (base * base) % mod;
+    exp >>= 1n;
+  }
+  return result;
+}
+
+// Edwards y = (u - 1) / (u + 1); null for non-canonical u or the point u = -1
+function montgomeryToEdwards(uBytes, signBit) {
+  const u = bytesToBigInt(uBytes);
+  if (u >= P || u === P - 1n) return null;
+
+  const y = ((u - 1n + P) * modPow(u + 1n, P - 2n, P)) % P;
+  const edwards = bigIntToBytes(y, 32);
+  edwards[31] |= signBit << 7;
+  return edwards;
+}
+
+// publicKey: 32-byte Curve25519 u-coordinate; signature: 64 bytes
+function verifyXEdDSA(publicKey, message, signature) {
+  if (publicKey.length !== 32 || signature.length !== 64) return false;
+
+  const sig = Buffer.from(signature);
+  const signBit = sig[63] >> 7;
+  sig[63] &= 0x7f;
+
+  const edwards = montgomeryToEdwards(publicKey, signBit);
+  if (!edwards) return false;
+
+  try {
+    const key = crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: edwards.toString('base64url') },
+      format: 'jwk',
+    });
+    return crypto.verify(null, message, key, sig);
+  } catch (err) {
+    // not a point on the curve
+    return false;
+  }
+}
+
+module.exports = { verifyXEdDSA };